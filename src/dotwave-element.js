@@ -7,6 +7,13 @@ class DotWaveElement extends HTMLElement {
     super();
     this.dotwave = null;
     this.isInitialized = false;
+    // Lowercased DotWave events listened to on this element, see addEventListener()
+    this.forwardedEvents = new Set();
+
+    // Reflect the active motion mode ('full', 'slow' or 'static') for styling and tests
+    this.addEventListener('dotwave:motionmodechange', (e) => {
+      this.setAttribute('motion-mode', e.detail.mode);
+    });
   }
 
   // Define which attributes to observe for changes
@@ -18,7 +25,17 @@ class DotWaveElement extends HTMLElement {
       'mouse-speed-decay', 'max-mouse-speed', 'dot-stretch', 'dot-stretch-mult',
       'dot-max-stretch', 'rot-smoothing', 'rot-smoothing-intensity',
       'dot-shape', 'dot-image', 'motion', 'motion-angle', 'motion-strength',
-      'motion-center-x', 'motion-center-y'
+      'motion-center-x', 'motion-center-y', 'flow-scale', 'flow-speed', 'flow-seed', 'forces', 'form-stiffness', 'form-damping', 'touch-scroll',
+      'click-effect', 'click-strength', 'click-speed', 'click-radius',
+      'connections', 'connection-distance', 'connection-width', 'connection-color',
+      'connection-max-links', 'connection-cursor', 'renderer', 'worker-url', 'seed',
+      'reduced-motion', 'canvas-label', 'auto-pause',
+      'resize-mode', 'dot-density', 'min-dots', 'max-dots',
+      'color-mode', 'color-stops', 'color-space', 'color-gradient', 'color-angle', 'color-cycle-speed',
+      'priority', 'adaptive-quality', 'min-fps', 'fixed-timestep', 'max-sub-steps',
+      'behavior', 'behavior-radius', 'behavior-strength', 'flock-separation', 'flock-alignment',
+      'flock-cohesion', 'gravity-softening', 'edge-mode', 'edge-buffer', 'edge-restitution',
+      'respawn-at', 'emitter-x', 'emitter-y', 'edge-fade'
     ];
   }
 
@@ -26,14 +43,17 @@ class DotWaveElement extends HTMLElement {
   connectedCallback() {
     // Wait for next tick to ensure the element is properly attached
     setTimeout(() => {
-      this.initializeDotWave();
+      // Skip if the element was removed again in the meantime
+      if (this.isConnected) {
+        this.initializeDotWave();
+      }
     }, 0);
   }
 
   // Called when observed attributes change
   attributeChangedCallback(name, oldValue, newValue) {
     if (oldValue !== newValue && this.isInitialized && this.dotwave) {
-      this.updateDotWaveOptions();
+      this.updateDotWaveOptions(name);
     }
   }
 
@@ -63,17 +83,48 @@ class DotWaveElement extends HTMLElement {
     return filtered.length > 0 ? filtered : null;
   }
 
+  // DotWave events are only re-dispatched once something listens to them here,
+  // so per-frame events like 'dotwave:frame' cost nothing without listeners
+  addEventListener(type, listener, options) {
+    super.addEventListener(type, listener, options);
+
+    if (typeof type !== 'string' || !type.startsWith('dotwave:')) return;
+    const event = type.slice('dotwave:'.length);
+    if (!this.forwardedEvents.has(event)) {
+      this.forwardedEvents.add(event);
+      if (this.dotwave) this.forwardEvent(event);
+    }
+  }
+
+  // Re-dispatch a DotWave event as a DOM event on this element,
+  // e.g. 'beforeDraw' as 'dotwave:beforedraw' with the data in event.detail
+  forwardEvent(event) {
+    const name = DotWave.events.find((known) => known.toLowerCase() === event);
+    if (!name) return;
+
+    const type = 'dotwave:' + event;
+    this.dotwave.on(name, (data) => {
+      this.dispatchEvent(new CustomEvent(type, { detail: data }));
+    });
+  }
+
+  // Forward the events that were listened to before the instance existed
+  forwardEvents() {
+    this.forwardedEvents.forEach((event) => this.forwardEvent(event));
+  }
+
   // Called when element is removed from DOM
+  // The instance is kept, so it can be set up again if the element is reattached
   disconnectedCallback() {
     if (this.dotwave) {
       this.dotwave.destroy();
-      this.dotwave = null;
       this.isInitialized = false;
     }
   }
 
   // Convert HTML attributes to DotWave options
-  getOptionsFromAttributes() {
+  // With an attribute name, only that option is converted (to its default when the attribute was removed)
+  getOptionsFromAttributes(only) {
     const options = {};
     
     // Map HTML attributes to DotWave options
@@ -106,12 +157,68 @@ class DotWaveElement extends HTMLElement {
       'motion-angle': { prop: 'motionAngle', type: 'number', default: 0 },
       'motion-strength': { prop: 'motionStrength', type: 'number', default: 0.05 },
       'motion-center-x': { prop: 'motionCenterX', type: 'number', default: 0.5 },
-      'motion-center-y': { prop: 'motionCenterY', type: 'number', default: 0.5 }
+      'motion-center-y': { prop: 'motionCenterY', type: 'number', default: 0.5 },
+      'flow-scale': { prop: 'flowScale', type: 'number', default: 0.003 },
+      'flow-speed': { prop: 'flowSpeed', type: 'number', default: 0.1 },
+      'flow-seed': { prop: 'flowSeed', type: 'number', default: null },
+      'forces': { prop: 'forces', type: 'array', default: null },
+      'form-stiffness': { prop: 'formStiffness', type: 'number', default: 0.02 },
+      'form-damping': { prop: 'formDamping', type: 'number', default: 0.08 },
+      'touch-scroll': { prop: 'touchScroll', type: 'boolean', default: true },
+      'click-effect': { prop: 'clickEffect', type: 'string', default: 'none' },
+      'click-strength': { prop: 'clickStrength', type: 'number', default: 0.6 },
+      'click-speed': { prop: 'clickSpeed', type: 'number', default: 600 },
+      'click-radius': { prop: 'clickRadius', type: 'number', default: 300 },
+      'connections': { prop: 'connections', type: 'boolean', default: false },
+      'connection-distance': { prop: 'connectionDistance', type: 'number', default: 100 },
+      'connection-width': { prop: 'connectionWidth', type: 'number', default: 1 },
+      'connection-color': { prop: 'connectionColor', type: 'string', default: null },
+      'connection-max-links': { prop: 'connectionMaxLinks', type: 'number', default: 3 },
+      'connection-cursor': { prop: 'connectionCursor', type: 'boolean', default: false },
+      'renderer': { prop: 'renderer', type: 'string', default: 'canvas' },
+      'worker-url': { prop: 'workerUrl', type: 'string', default: null },
+      'seed': { prop: 'seed', type: 'string', default: null },
+      'reduced-motion': { prop: 'reducedMotion', type: 'string', default: 'static' },
+      'canvas-label': { prop: 'canvasLabel', type: 'string', default: null },
+      'auto-pause': { prop: 'autoPause', type: 'boolean', default: true },
+      'resize-mode': { prop: 'resizeMode', type: 'string', default: 'scale' },
+      'dot-density': { prop: 'dotDensity', type: 'number', default: null },
+      'min-dots': { prop: 'minDots', type: 'number', default: 0 },
+      'max-dots': { prop: 'maxDots', type: 'number', default: 2000 },
+      'color-mode': { prop: 'colorMode', type: 'string', default: 'random' },
+      'color-stops': { prop: 'colorStops', type: 'array', default: null },
+      'color-space': { prop: 'colorSpace', type: 'string', default: 'oklch' },
+      'color-gradient': { prop: 'colorGradient', type: 'string', default: 'linear' },
+      'color-angle': { prop: 'colorAngle', type: 'number', default: 0 },
+      'color-cycle-speed': { prop: 'colorCycleSpeed', type: 'number', default: 30 },
+      'priority': { prop: 'priority', type: 'string', default: 'normal' },
+      'adaptive-quality': { prop: 'adaptiveQuality', type: 'boolean', default: false },
+      'min-fps': { prop: 'minFps', type: 'number', default: 45 },
+      'fixed-timestep': { prop: 'fixedTimestep', type: 'number', default: null },
+      'max-sub-steps': { prop: 'maxSubSteps', type: 'number', default: 8 },
+      'behavior': { prop: 'behavior', type: 'string', default: 'none' },
+      'behavior-radius': { prop: 'behaviorRadius', type: 'number', default: 50 },
+      'behavior-strength': { prop: 'behaviorStrength', type: 'number', default: 1 },
+      'flock-separation': { prop: 'flockSeparation', type: 'number', default: 1.5 },
+      'flock-alignment': { prop: 'flockAlignment', type: 'number', default: 1 },
+      'flock-cohesion': { prop: 'flockCohesion', type: 'number', default: 1 },
+      'gravity-softening': { prop: 'gravitySoftening', type: 'number', default: 10 },
+      'edge-mode': { prop: 'edgeMode', type: 'string', default: 'wrap' },
+      'edge-buffer': { prop: 'edgeBuffer', type: 'number', default: 50 },
+      'edge-restitution': { prop: 'edgeRestitution', type: 'number', default: 0.8 },
+      'respawn-at': { prop: 'respawnAt', type: 'string', default: 'edge' },
+      'emitter-x': { prop: 'emitterX', type: 'number', default: 0.5 },
+      'emitter-y': { prop: 'emitterY', type: 'number', default: 0.5 },
+      'edge-fade': { prop: 'edgeFade', type: 'number', default: 100 }
     };
 
     // Process each attribute
     for (const [htmlAttr, config] of Object.entries(attributeMap)) {
-      if (this.hasAttribute(htmlAttr)) {
+      if (only && htmlAttr !== only) continue;
+
+      if (only && !this.hasAttribute(htmlAttr)) {
+        options[config.prop] = config.default;
+      } else if (this.hasAttribute(htmlAttr)) {
         const value = this.getAttribute(htmlAttr);
         
         // Convert string values to appropriate types
@@ -153,8 +260,15 @@ class DotWaveElement extends HTMLElement {
 
     // Create DotWave instance
     try {
-      this.dotwave = new DotWave(options);
+      if (this.dotwave) {
+        // Reattached, e.g. by a router: set the instance up again with the current attributes
+        this.dotwave.reinit(options);
+      } else {
+        this.dotwave = new DotWave(options);
+        this.forwardEvents();
+      }
       this.isInitialized = true;
+      this.setAttribute('motion-mode', this.dotwave.motionMode);
     } catch (error) {
       console.error('Error initializing DotWave:', error);
     }
@@ -189,14 +303,18 @@ class DotWaveElement extends HTMLElement {
     }
   }
 
-  updateDotWaveOptions() {
+  // Pass a changed attribute on to the instance
+  // Only that option is updated, so e.g. a seed attribute doesn't restart the scene on every change
+  updateDotWaveOptions(name) {
     if (!this.dotwave) return;
     
-    const options = this.getOptionsFromAttributes();
+    const options = this.getOptionsFromAttributes(name);
     // Remove container from update options since it shouldn't change
     delete options.container;
     
-    this.dotwave.updateOptions(options);
+    if (Object.keys(options).length > 0) {
+      this.dotwave.updateOptions(options);
+    }
   }
 
   // Property getters and setters for JavaScript API compatibility
@@ -212,6 +330,18 @@ class DotWaveElement extends HTMLElement {
     }
   }
 
+  get dotDensity() {
+    return this.hasAttribute('dot-density') ? parseFloat(this.getAttribute('dot-density')) : null;
+  }
+
+  set dotDensity(value) {
+    if (value !== null && value !== undefined) {
+      this.setAttribute('dot-density', value.toString());
+    } else {
+      this.removeAttribute('dot-density');
+    }
+  }
+
   get dotColor() {
     return this.getAttribute('dot-color') || 'white';
   }
@@ -250,6 +380,18 @@ class DotWaveElement extends HTMLElement {
     }
   }
 
+  get colorMode() {
+    return this.getAttribute('color-mode') || 'random';
+  }
+
+  set colorMode(value) {
+    if (value) {
+      this.setAttribute('color-mode', value);
+    } else {
+      this.removeAttribute('color-mode');
+    }
+  }
+
   get dotShape() {
     return this.getAttribute('dot-shape') || 'circle';
   }
@@ -298,6 +440,35 @@ class DotWaveElement extends HTMLElement {
     }
   }
 
+  get clickEffect() {
+    return this.getAttribute('click-effect') || 'none';
+  }
+
+  set clickEffect(value) {
+    if (value) {
+      this.setAttribute('click-effect', value);
+    } else {
+      this.removeAttribute('click-effect');
+    }
+  }
+
+  get reducedMotion() {
+    return this.getAttribute('reduced-motion') || 'static';
+  }
+
+  set reducedMotion(value) {
+    if (value) {
+      this.setAttribute('reduced-motion', value);
+    } else {
+      this.removeAttribute('reduced-motion');
+    }
+  }
+
+  // Active motion mode, reflected as the motion-mode attribute (read-only)
+  get motionMode() {
+    return this.dotwave ? this.dotwave.motionMode : null;
+  }
+
   // Methods to control the DotWave instance
   pause() {
     if (this.dotwave) {
@@ -311,6 +482,52 @@ class DotWaveElement extends HTMLElement {
     }
   }
 
+  burst(x, y, opts) {
+    if (this.dotwave) {
+      this.dotwave.burst(x, y, opts);
+    }
+  }
+
+  formText(text, font) {
+    if (this.dotwave) {
+      this.dotwave.formText(text, font);
+    }
+  }
+
+  formImage(src) {
+    return this.dotwave ? this.dotwave.formImage(src) : Promise.reject(new Error('DotWave is not initialized'));
+  }
+
+  formPath(svgPathString) {
+    if (this.dotwave) {
+      this.dotwave.formPath(svgPathString);
+    }
+  }
+
+  release() {
+    if (this.dotwave) {
+      this.dotwave.release();
+    }
+  }
+
+  snapshot(opts) {
+    return this.dotwave ? this.dotwave.snapshot(opts) : Promise.reject(new Error('DotWave is not initialized'));
+  }
+
+  renderFrames(count, fps, opts) {
+    return this.dotwave ? this.dotwave.renderFrames(count, fps, opts) : Promise.reject(new Error('DotWave is not initialized'));
+  }
+
+  startRecording(opts) {
+    if (this.dotwave) {
+      this.dotwave.startRecording(opts);
+    }
+  }
+
+  stopRecording() {
+    return this.dotwave ? this.dotwave.stopRecording() : Promise.reject(new Error('DotWave is not initialized'));
+  }
+
   destroy() {
     if (this.dotwave) {
       this.dotwave.destroy();
@@ -5,379 +5,3426 @@
  */
 (function(global) {
     'use strict';
-    
+
+    // URL of this script, used to start the worker renderer
+    const scriptUrl = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+
+    // Frame scheduling that also works inside workers without requestAnimationFrame
+    const requestFrame = typeof requestAnimationFrame === 'function' ?
+        function(callback) { return requestAnimationFrame(callback); } :
+        function(callback) { return setTimeout(function() { callback(performance.now()); }, 16); };
+    const cancelFrame = typeof cancelAnimationFrame === 'function' ?
+        function(id) { cancelAnimationFrame(id); } :
+        function(id) { clearTimeout(id); };
+
     /**
-     * DotWave constructor
-     * @param {Object} options - Configuration options
+     * Listen to changes of a media query
+     * @param {String} query - Media query
+     * @param {Function} handler - Called when the query starts or stops matching
+     * @return {MediaQueryList|null} The query list, or null without matchMedia
      */
-    function DotWave(options) {
-        // Default configuration
-        this.defaults = {
-            container: 'body',           // Container selector or DOM element
-            numDots: 400,                // Number of dots
-            dotColor: 'white',           // Dot color (CSS color)
-            backgroundColor: 'black',    // Background color
-            dotMinSize: 1,               // Minimum dot size
-            dotMaxSize: 3,               // Maximum dot size
-            dotMinOpacity: 0.5,          // Minimum dot opacity
-            dotMaxOpacity: 1,            // Maximum dot opacity
-            influenceRadius: 100,        // Mouse influence radius
-            influenceStrength: 0.5,      // Mouse influence strength
-            randomFactor: 0.05,          // Random movement factor
-            friction: 0.97,              // Movement friction
-            maxSpeed: 3,                 // Maximum dot speed
-            reactive: true,              // Toggle for cursor reactivity
-            zIndex: -1,                  // Canvas z-index
-            mouseSpeedDecay: 0.85,       // How quickly mouse speed decays
-            maxMouseSpeed: 15,           // Maximum mouse speed to prevent jumps
-            dotStretch: true,            // Enable dot stretching based on velocity
-            dotStretchMult: 10,          // How much to stretch the dots
-            dotMaxStretch: 20,           // Maximum stretch amount
-            rotSmoothing: false,         // Toggle for rotation smoothing of dots
-            rotSmoothingIntensity: 150,  // Rotation smoothing duration in milliseconds
-            dotShape: 'circle',          // Dot shape: 'circle', 'square', 'triangle', 'star', 'image' or a custom draw function
-            dotImage: null,              // Image URL used when dotShape is 'image'
-            dotColors: null,             // Array of colors; each dot picks one at random (overrides dotColor)
-            motion: 'none',              // Autonomous motion preset: 'none', 'stream' or 'vortex'
-            motionAngle: 0,              // Stream direction in degrees (0 = right, 90 = down)
-            motionStrength: 0.05,        // Strength of the motion preset force
-            motionCenterX: 0.5,          // Vortex center X as a fraction of canvas width (0-1)
-            motionCenterY: 0.5           // Vortex center Y as a fraction of canvas height (0-1)
-        };
-        
-        // Merge options with defaults
-        this.options = this._mergeOptions(this.defaults, options || {});
-        
-        // Initialize properties
-        this.canvas = null;
-        this.ctx = null;
-        this.container = null;
-        this.dots = [];
-        this.width = 0;
-        this.height = 0;
-        this.mouseX = 0;
-        this.mouseY = 0;
-        this.prevMouseX = 0;
-        this.prevMouseY = 0;
-        this.mouseSpeedX = 0;
-        this.mouseSpeedY = 0;
-        this.animationFrame = null;
-        this.resizeTimeout = null;
-        this.lastFrameTime = 0;
-        this.isMouseOver = false;
-        this.dotImageEl = null;
-        this.dotImageReady = false;
-        this._dotImageSrc = null;
+    function watchMedia(query, handler) {
+        if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') return null;
 
-        // Initialize the canvas
-        this.init();
+        const list = window.matchMedia(query);
+
+        // Older Safari only supports the deprecated addListener
+        if (list.addEventListener) {
+            list.addEventListener('change', handler);
+        } else {
+            list.addListener(handler);
+        }
+        return list;
     }
-    
+
     /**
-     * Initialize the DotWave instance
+     * Stop listening to a media query
+     * @param {MediaQueryList|null} list - Query list returned by watchMedia
+     * @param {Function} handler - The handler passed to watchMedia
      */
-    DotWave.prototype.init = function() {
-        // Get container element
-        this.container = this._getContainer(this.options.container);
-        if (!this.container) {
-            console.error('DotWave: Container element not found');
-            return;
+    function unwatchMedia(list, handler) {
+        if (!list) return;
+
+        if (list.removeEventListener) {
+            list.removeEventListener('change', handler);
+        } else {
+            list.removeListener(handler);
         }
-        
-        // Create canvas element
-        this.canvas = document.createElement('canvas');
-        this.ctx = this.canvas.getContext('2d');
-        
-        // Set canvas styles
-        this.canvas.style.position = 'absolute';
-        this.canvas.style.top = '0';
-        this.canvas.style.left = '0';
-        this.canvas.style.width = '100%';
-        this.canvas.style.height = '100%';
-        this.canvas.style.zIndex = this.options.zIndex;
-        this.canvas.style.pointerEvents = 'none'; // Allow clicks to pass through
-        
-        // Add canvas to container
-        this._setupContainer();
-        this.container.appendChild(this.canvas);
-        
-        // Set initial canvas size
-        this._updateCanvasSize();
+    }
 
-        // Start loading the dot image if one is configured
-        this._loadImage();
+    /**
+     * Uniform grid over the canvas for fast neighbour lookups
+     * Rebuilt from scratch with a counting sort, so it stays O(n) per frame
+     */
+    function SpatialGrid() {
+        this.cellSize = 1;
+        this.cols = 0;
+        this.rows = 0;
+        this.minX = 0;
+        this.minY = 0;
+        this.items = [];
+        this.cellStart = new Int32Array(1);
+        this.cellItems = new Int32Array(0);
+        this.itemCell = new Int32Array(0);
+    }
 
-        // Create dots
-        this._createDots();
-        
-        // Add event listeners
-        this._addEventListeners();
-        
-        // Start animation
-        this.lastFrameTime = performance.now();
-        this._animate();
-    };
-    
     /**
-     * Set up the container element for the canvas
+     * Rebuild the grid from a list of points
+     * Points outside the covered area are clamped into the border cells
+     * @param {Array} items - Objects with x and y properties
+     * @param {Number} minX - Left edge of the covered area
+     * @param {Number} minY - Top edge of the covered area
+     * @param {Number} maxX - Right edge of the covered area
+     * @param {Number} maxY - Bottom edge of the covered area
+     * @param {Number} cellSize - Cell size in pixels
      */
-    DotWave.prototype._setupContainer = function() {
-        // Only modify position if it's static
-        const containerStyle = window.getComputedStyle(this.container);
-        if (containerStyle.position === 'static') {
-            this.container.style.position = 'relative';
+    SpatialGrid.prototype.rebuild = function(items, minX, minY, maxX, maxY, cellSize) {
+        this.items = items;
+        this.cellSize = Math.max(cellSize, 1);
+        this.minX = minX;
+        this.minY = minY;
+        this.cols = Math.max(Math.ceil((maxX - minX) / this.cellSize), 1);
+        this.rows = Math.max(Math.ceil((maxY - minY) / this.cellSize), 1);
+
+        const numCells = this.cols * this.rows;
+        const n = items.length;
+        if (this.cellStart.length < numCells + 1) this.cellStart = new Int32Array(numCells + 1);
+        if (this.cellItems.length < n) {
+            this.cellItems = new Int32Array(n);
+            this.itemCell = new Int32Array(n);
         }
-        
-        // Set background color if specified and container is body
-        if (this.options.backgroundColor && this.container === document.body) {
-            document.body.style.backgroundColor = this.options.backgroundColor;
+
+        const cellStart = this.cellStart;
+        cellStart.fill(0, 0, numCells + 1);
+
+        // Count items per cell
+        for (let i = 0; i < n; i++) {
+            const cell = this.cellIndex(this.col(items[i].x), this.row(items[i].y));
+            this.itemCell[i] = cell;
+            cellStart[cell + 1]++;
+        }
+
+        // Prefix sum gives the start offset of every cell
+        for (let c = 0; c < numCells; c++) {
+            cellStart[c + 1] += cellStart[c];
+        }
+
+        // Scatter item indices into their cells
+        const fill = cellStart.slice(0, numCells);
+        for (let i = 0; i < n; i++) {
+            this.cellItems[fill[this.itemCell[i]]++] = i;
         }
     };
-    
+
     /**
-     * Get container DOM element from selector or element
-     * @param {String|Element} container - Container selector or DOM element
-     * @return {Element} The container element
+     * Column of an X coordinate, clamped to the grid
+     * @param {Number} x - X coordinate
+     * @return {Number} Column index
      */
-    DotWave.prototype._getContainer = function(container) {
-        if (typeof container === 'string') {
-            return document.querySelector(container);
-        } else if (container instanceof Element) {
-            return container;
-        } else if (container === document.body) {
-            return document.body;
-        }
-        return null;
+    SpatialGrid.prototype.col = function(x) {
+        const c = Math.floor((x - this.minX) / this.cellSize);
+        return c < 0 ? 0 : (c >= this.cols ? this.cols - 1 : c);
     };
-    
+
     /**
-     * Merge default options with user options
-     * @param {Object} defaults - Default options
-     * @param {Object} options - User options
-     * @return {Object} Merged options
+     * Row of a Y coordinate, clamped to the grid
+     * @param {Number} y - Y coordinate
+     * @return {Number} Row index
      */
-    DotWave.prototype._mergeOptions = function(defaults, options) {
-        const merged = {};
-        for (const key in defaults) {
-            merged[key] = options[key] !== undefined ? options[key] : defaults[key];
-        }
-        return merged;
+    SpatialGrid.prototype.row = function(y) {
+        const r = Math.floor((y - this.minY) / this.cellSize);
+        return r < 0 ? 0 : (r >= this.rows ? this.rows - 1 : r);
     };
-    
+
     /**
-     * Update canvas size to match container
+     * Flat index of a cell
+     * @param {Number} col - Column index
+     * @param {Number} row - Row index
+     * @return {Number} Cell index
      */
-    DotWave.prototype._updateCanvasSize = function() {
-        const rect = this.container.getBoundingClientRect();
-        const newWidth = rect.width;
-        const newHeight = rect.height;
-        
-        // Store old dimensions for dot repositioning
-        const oldWidth = this.width || newWidth;
-        const oldHeight = this.height || newHeight;
-        
-        this.width = newWidth;
-        this.height = newHeight;
-        
-        // Set canvas size (with device pixel ratio for retina displays)
-        const dpr = window.devicePixelRatio || 1;
-        this.canvas.width = this.width * dpr;
-        this.canvas.height = this.height * dpr;
-        this.ctx.scale(dpr, dpr);
-        
-        // Redistribute existing dots proportionally to new canvas size
-        if (this.dots && this.dots.length > 0 && (oldWidth !== newWidth || oldHeight !== newHeight)) {
-            const scaleX = newWidth / oldWidth;
-            const scaleY = newHeight / oldHeight;
-            
-            for (let i = 0; i < this.dots.length; i++) {
-                const dot = this.dots[i];
-                
-                // Scale dot position proportionally
-                dot.x *= scaleX;
-                dot.y *= scaleY;
-                
-                // Handle dots that were in the offscreen buffer area
-                // Clamp them to the new canvas bounds with buffer
-                if (dot.x < -50) dot.x = -50;
-                if (dot.x > newWidth + 50) dot.x = newWidth + 50;
-                if (dot.y < -50) dot.y = -50;
-                if (dot.y > newHeight + 50) dot.y = newHeight + 50;
+    SpatialGrid.prototype.cellIndex = function(col, row) {
+        return row * this.cols + col;
+    };
+
+    /**
+     * Call a function for every item index within a radius of a point
+     * @param {Number} x - X coordinate
+     * @param {Number} y - Y coordinate
+     * @param {Number} r - Radius
+     * @param {Function} callback - Called with (index, distanceSq)
+     */
+    SpatialGrid.prototype.forEachInRadius = function(x, y, r, callback) {
+        const items = this.items;
+        const rSq = r * r;
+        const col0 = this.col(x - r), col1 = this.col(x + r);
+        const row0 = this.row(y - r), row1 = this.row(y + r);
+
+        for (let row = row0; row <= row1; row++) {
+            for (let col = col0; col <= col1; col++) {
+                const cell = this.cellIndex(col, row);
+                for (let k = this.cellStart[cell]; k < this.cellStart[cell + 1]; k++) {
+                    const index = this.cellItems[k];
+                    const dx = items[index].x - x;
+                    const dy = items[index].y - y;
+                    const distanceSq = dx * dx + dy * dy;
+                    if (distanceSq <= rSq) callback(index, distanceSq);
+                }
             }
         }
-        
-        // Center mouse position initially
-        this.mouseX = this.width / 2;
-        this.mouseY = this.height / 2;
-        this.prevMouseX = this.mouseX;
-        this.prevMouseY = this.mouseY;
     };
     
+    // Scheduling order of the priority option
+    const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
     /**
-     * Pick a color for a single dot
-     * Uses a random entry from the dotColors palette when provided,
-     * otherwise falls back to dotColor
-     * @return {String} CSS color
+     * Shared animation loop driving every running DotWave instance from a single
+     * requestAnimationFrame and clock, exposed as DotWave.scheduler
+     * Instances update in priority order. Once a frame has used up the budget, the remaining
+     * 'normal' and 'low' instances skip it (at most maxSkip frames in a row), and after a frame
+     * over budget, 'low' instances only update every other frame until frames fit again.
      */
-    DotWave.prototype._pickDotColor = function() {
-        const colors = this.options.dotColors;
-        if (Array.isArray(colors) && colors.length > 0) {
-            return colors[Math.floor(Math.random() * colors.length)];
-        }
-        return this.options.dotColor;
+    function Scheduler() {
+        this._settings = {
+            maxFps: 0,         // Frame rate limit for all instances (0 = display refresh rate)
+            budget: 12,        // Milliseconds per frame for all instances before skipping starts
+            maxSkip: 3         // Maximum number of frames in a row an instance may skip
+        };
+        this.workers = [];     // Worker renderers whose schedulers follow these settings
+        this.entries = [];
+        this.frame = null;
+        this.lastTick = 0;
+        this.ticks = 0;
+        this.overBudget = false;
+        this._tick = this._tick.bind(this);
+    }
+
+    // Settings, passed on to the worker renderers whenever they change
+    ['maxFps', 'budget', 'maxSkip'].forEach((name) => {
+        Object.defineProperty(Scheduler.prototype, name, {
+            get: function() {
+                return this._settings[name];
+            },
+            set: function(value) {
+                this._settings[name] = value;
+                for (let i = 0; i < this.workers.length; i++) {
+                    this.workers[i].postMessage({ type: 'scheduler', settings: this._settings });
+                }
+            }
+        });
+    });
+
+    /**
+     * Keep the scheduler inside a worker renderer in sync with this one
+     * @param {Worker} worker - The worker
+     */
+    Scheduler.prototype.addWorker = function(worker) {
+        this.workers.push(worker);
+        worker.postMessage({ type: 'scheduler', settings: this._settings });
     };
 
     /**
-     * Load the dot image when dotShape is 'image'
-     * Dots are drawn as regular circles until the image finishes loading
+     * Stop passing settings on to a worker renderer
+     * @param {Worker} worker - The worker
      */
-    DotWave.prototype._loadImage = function() {
-        const src = this.options.dotShape === 'image' ? this.options.dotImage : null;
+    Scheduler.prototype.removeWorker = function(worker) {
+        this.workers = this.workers.filter((other) => other !== worker);
+    };
 
-        if (!src) {
-            this._dotImageSrc = null;
-            this.dotImageEl = null;
-            this.dotImageReady = false;
-            return;
+    /**
+     * Start updating an instance on every frame
+     * @param {DotWave} instance - The instance
+     */
+    Scheduler.prototype.add = function(instance) {
+        for (let i = 0; i < this.entries.length; i++) {
+            if (this.entries[i].instance === instance) return;
         }
+        this.entries.push({ instance: instance, skipped: 0 });
 
-        // Skip reload if the same image is already loading or loaded
-        if (this._dotImageSrc === src) return;
+        if (!this.frame) {
+            this.frame = requestFrame(this._tick);
+        }
+    };
 
-        this._dotImageSrc = src;
-        this.dotImageReady = false;
+    /**
+     * Stop updating an instance, and stop the loop once no instance is left
+     * @param {DotWave} instance - The instance
+     */
+    Scheduler.prototype.remove = function(instance) {
+        this.entries = this.entries.filter((entry) => entry.instance !== instance);
 
-        const img = new Image();
-        img.crossOrigin = 'anonymous';
-        img.onload = () => {
-            // Ignore stale loads if the image was changed in the meantime
-            if (this._dotImageSrc === src) {
-                this.dotImageEl = img;
-                this.dotImageReady = true;
-            }
-        };
-        img.onerror = () => {
-            console.error('DotWave: Failed to load dot image: ' + src);
-        };
-        img.src = src;
+        if (this.entries.length === 0 && this.frame) {
+            cancelFrame(this.frame);
+            this.frame = null;
+        }
     };
 
     /**
-     * Create dots with random properties
+     * Get the scheduling rank of an instance, lower ranks update first
+     * Instances scrolled out of view (with autoPause disabled) rank one level lower
+     * @param {DotWave} instance - The instance
+     * @return {Number} 0 (high) to 2 (low)
      */
-    DotWave.prototype._createDots = function() {
-        this.dots = [];
-        
-        for (let i = 0; i < this.options.numDots; i++) {
-            // z represents depth (0 = far, 1 = close)
-            const z = Math.random();
-            
-            const dot = {
-                x: Math.random() * this.width,
-                y: Math.random() * this.height,
-                z: z, // Depth value
-                radius: this.options.dotMinSize + z * (this.options.dotMaxSize - this.options.dotMinSize),
-                alpha: this.options.dotMinOpacity + z * (this.options.dotMaxOpacity - this.options.dotMinOpacity),
-                color: this._pickDotColor(),
-                vx: (Math.random() - 0.5) * 1.5,
-                vy: (Math.random() - 0.5) * 1.5,
-                // Deeper dots move slower to create parallax effect
-                speedMultiplier: 0.3 + z * 0.7
-            };
-            
-            // Only add rotation properties if stretching is enabled
-            if (this.options.dotStretch) {
-                if (this.options.rotSmoothing) {
-                    // Smooth rotation: track current and target angles
-                    dot.currentAngle = 0;
-                    dot.targetAngle = 0;
-                } else {
-                    // Instant rotation: only need current angle
-                    dot.currentAngle = 0;
+    Scheduler.prototype._rank = function(instance) {
+        const rank = PRIORITIES.hasOwnProperty(instance.options.priority) ? PRIORITIES[instance.options.priority] : 1;
+        return instance._inView === false ? Math.min(rank + 1, 2) : rank;
+    };
+
+    /**
+     * Update the instances for one frame
+     */
+    Scheduler.prototype._tick = function() {
+        this.frame = requestFrame(this._tick);
+        const now = performance.now();
+
+        // Leave out display frames to stay at maxFps, with some room for timer jitter
+        if (this.maxFps > 0 && now - this.lastTick < 1000 / this.maxFps - 2) return;
+        this.lastTick = now;
+        this.ticks++;
+
+        // Highest priority first, and among equals the ones that skipped the most frames
+        const entries = this.entries.map((entry) => ({ entry: entry, rank: this._rank(entry.instance) }));
+        entries.sort((a, b) => a.rank - b.rank || b.entry.skipped - a.entry.skipped);
+
+        let late = false;
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i].entry;
+            const rank = entries[i].rank;
+
+            // An earlier instance may have stopped this one, e.g. from a frame listener
+            if (this.entries.indexOf(entry) === -1) continue;
+
+            if (rank > 0 && entry.skipped < this.maxSkip) {
+                late = late || performance.now() - now > this.budget;
+                const throttled = rank === 2 && this.overBudget && this.ticks % 2 === 0;
+                if (late || throttled) {
+                    entry.skipped++;
+                    continue;
                 }
             }
-            
-            this.dots.push(dot);
+
+            entry.skipped = 0;
+            entry.instance._animate(now);
         }
+
+        this.overBudget = late || performance.now() - now > this.budget;
     };
-    
+
+    // Shape ids understood by the WebGL fragment shader
+    const GL_SHAPES = { circle: 0, square: 1, triangle: 2, star: 3, image: 4 };
+
+    // Floats per dot in the WebGL instance buffer: x, y, radius, stretch scale, angle, r, g, b, a
+    const GL_INSTANCE_FLOATS = 9;
+
+    const GL_DOT_VERTEX_SHADER = [
+        'attribute vec2 a_corner;',
+        'attribute vec2 a_position;',
+        'attribute vec3 a_transform;', // radius, stretch scale, angle
+        'attribute vec4 a_color;',
+        'uniform vec2 u_resolution;',
+        'uniform float u_pixelRatio;',
+        'varying vec2 v_local;',
+        'varying vec4 v_color;',
+        'varying float v_aa;',
+        'void main() {',
+        '    float radius = a_transform.x;',
+        // Antialiasing width of about one device pixel, in unit shape space
+        '    v_aa = 1.0 / max(radius * u_pixelRatio, 0.5);',
+        '    v_local = a_corner * (1.0 + v_aa);',
+        '    vec2 p = v_local * radius;',
+        '    p.x *= a_transform.y;',
+        '    float c = cos(a_transform.z);',
+        '    float s = sin(a_transform.z);',
+        '    p = vec2(p.x * c - p.y * s, p.x * s + p.y * c) + a_position;',
+        '    vec2 clip = p / u_resolution * 2.0 - 1.0;',
+        '    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);',
+        '    v_color = a_color;',
+        '}'
+    ].join('\n');
+
+    const GL_DOT_FRAGMENT_SHADER = [
+        'precision mediump float;',
+        'uniform int u_shape;',
+        'uniform sampler2D u_image;',
+        'uniform vec2 u_imageExtent;',
+        'varying vec2 v_local;',
+        'varying vec4 v_color;',
+        'varying float v_aa;',
+        'const float PI = 3.14159265;',
+        // Signed distance to the edge of a unit shape (negative inside)
+        'float edgeDistance(vec2 p, vec2 a, vec2 b) {',
+        '    vec2 e = b - a;',
+        '    return dot(p - a, normalize(vec2(e.y, -e.x)));',
+        '}',
+        'float shapeDistance(vec2 p) {',
+        '    if (u_shape == 1) return max(abs(p.x), abs(p.y)) - 1.0;',
+        '    if (u_shape == 2) {',
+        '        vec2 a = vec2(1.0, 0.0);',
+        '        vec2 b = vec2(-0.5, 0.866);',
+        '        vec2 c = vec2(-0.5, -0.866);',
+        '        return max(max(edgeDistance(p, a, b), edgeDistance(p, b, c)), edgeDistance(p, c, a));',
+        '    }',
+        '    if (u_shape == 3) {',
+        // Fold the point into the first half-spike of the five-pointed star
+        '        float seg = 2.0 * PI / 5.0;',
+        '        float angle = mod(atan(p.y, p.x) + PI / 2.0, seg);',
+        '        if (angle > seg * 0.5) angle = seg - angle;',
+        '        vec2 q = length(p) * vec2(cos(angle), sin(angle));',
+        '        vec2 inner = 0.45 * vec2(cos(seg * 0.5), sin(seg * 0.5));',
+        '        return edgeDistance(q, vec2(1.0, 0.0), inner);',
+        '    }',
+        '    return length(p) - 1.0;',
+        '}',
+        'void main() {',
+        '    if (u_shape == 4) {',
+        '        vec2 uv = v_local / u_imageExtent * 0.5 + 0.5;',
+        '        if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) discard;',
+        '        gl_FragColor = texture2D(u_image, uv) * v_color.a;',
+        '        return;',
+        '    }',
+        '    float alpha = v_color.a * (1.0 - smoothstep(-v_aa, v_aa, shapeDistance(v_local)));',
+        '    if (alpha <= 0.0) discard;',
+        '    gl_FragColor = vec4(v_color.rgb * alpha, alpha);',
+        '}'
+    ].join('\n');
+
+    const GL_LINE_VERTEX_SHADER = [
+        'attribute vec2 a_position;',
+        'attribute vec4 a_color;',
+        'uniform vec2 u_resolution;',
+        'varying vec4 v_color;',
+        'void main() {',
+        '    vec2 clip = a_position / u_resolution * 2.0 - 1.0;',
+        '    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);',
+        '    v_color = a_color;',
+        '}'
+    ].join('\n');
+
+    const GL_LINE_FRAGMENT_SHADER = [
+        'precision mediump float;',
+        'varying vec4 v_color;',
+        'void main() {',
+        '    gl_FragColor = vec4(v_color.rgb * v_color.a, v_color.a);',
+        '}'
+    ].join('\n');
+
     /**
-     * Add event listeners for mouse movement and window resize
+     * WebGL renderer drawing all dots with a single instanced draw call
+     * Works with WebGL2 or WebGL1 + ANGLE_instanced_arrays. Buffer building
+     * doesn't touch the GL context, so it can be tested without one.
+     * @param {WebGLRenderingContext|null} gl - GL context, or null to only build buffers
+     * @param {Function} parse - Converts a CSS color to [r, g, b, a] (r, g, b in 0-255, a in 0-1)
      */
-    DotWave.prototype._addEventListeners = function() {
-        // Mouse movement listeners
-        this.container.addEventListener('mousemove', this._handleMouseMove.bind(this));
-        this.container.addEventListener('mouseenter', this._handleMouseEnter.bind(this));
-        this.container.addEventListener('mouseleave', this._handleMouseLeave.bind(this));
-        
-        // Window resize
-        window.addEventListener('resize', this._handleResize.bind(this));
-    };
-    
+    function WebGLRenderer(gl, parse) {
+        this.gl = gl;
+        this.parse = parse || parseColor;
+        this.colorCache = {};
+        this.instanceData = new Float32Array(0);
+        this.lineData = new Float32Array(0);
+        this.image = null;
+        this.imageExtent = [1, 1];
+        this.width = 0;
+        this.height = 0;
+        this.dpr = 1;
+
+        if (gl) this._setup();
+    }
+
     /**
-     * Handle mouse movement
-     * @param {Event} e - Mouse event
+     * Compile the shaders and create the buffers
+     * Throws if the context can't draw instanced geometry or a shader fails
      */
-    DotWave.prototype._handleMouseMove = function(e) {
-        if (!this.isMouseOver) return;
-        
-        const rect = this.container.getBoundingClientRect();
-        this.prevMouseX = this.mouseX;
-        this.prevMouseY = this.mouseY;
-        this.mouseX = e.clientX - rect.left;
-        this.mouseY = e.clientY - rect.top;
-        
-        // Calculate raw mouse speed
-        const rawSpeedX = this.mouseX - this.prevMouseX;
-        const rawSpeedY = this.mouseY - this.prevMouseY;
-        
-        // Limit maximum mouse speed to prevent jumps
-        const rawSpeed = Math.sqrt(rawSpeedX * rawSpeedX + rawSpeedY * rawSpeedY);
-        if (rawSpeed > this.options.maxMouseSpeed) {
-            const scale = this.options.maxMouseSpeed / rawSpeed;
-            this.mouseSpeedX = rawSpeedX * scale;
-            this.mouseSpeedY = rawSpeedY * scale;
+    WebGLRenderer.prototype._setup = function() {
+        const gl = this.gl;
+
+        if (typeof gl.drawArraysInstanced === 'function') {
+            this.vertexAttribDivisor = gl.vertexAttribDivisor.bind(gl);
+            this.drawArraysInstanced = gl.drawArraysInstanced.bind(gl);
         } else {
-            this.mouseSpeedX = rawSpeedX;
-            this.mouseSpeedY = rawSpeedY;
+            const ext = gl.getExtension('ANGLE_instanced_arrays');
+            if (!ext) throw new Error('Instanced drawing is not supported');
+            this.vertexAttribDivisor = ext.vertexAttribDivisorANGLE.bind(ext);
+            this.drawArraysInstanced = ext.drawArraysInstancedANGLE.bind(ext);
         }
+
+        this.dotProgram = this._createProgram(GL_DOT_VERTEX_SHADER, GL_DOT_FRAGMENT_SHADER);
+        this.lineProgram = this._createProgram(GL_LINE_VERTEX_SHADER, GL_LINE_FRAGMENT_SHADER);
+
+        // Unit quad as a triangle strip, shared by every dot
+        this.cornerBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+        this.instanceBuffer = gl.createBuffer();
+        this.lineBuffer = gl.createBuffer();
+
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        // Shaders output premultiplied alpha
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
     };
-    
+
     /**
-     * Handle mouse enter
+     * Compile and link a shader program
+     * @param {String} vertexSource - Vertex shader source
+     * @param {String} fragmentSource - Fragment shader source
+     * @return {Object} Program with attribute and uniform locations
      */
-    DotWave.prototype._handleMouseEnter = function() {
-        this.isMouseOver = true;
+    WebGLRenderer.prototype._createProgram = function(vertexSource, fragmentSource) {
+        const gl = this.gl;
+        const program = gl.createProgram();
+
+        [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]].forEach((entry) => {
+            const shader = gl.createShader(entry[0]);
+            gl.shaderSource(shader, entry[1]);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(gl.getShaderInfoLog(shader));
+            }
+            gl.attachShader(program, shader);
+        });
+
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(gl.getProgramInfoLog(program));
+        }
+
+        const locations = { program: program };
+        ['a_corner', 'a_position', 'a_transform', 'a_color'].forEach((name) => {
+            locations[name] = gl.getAttribLocation(program, name);
+        });
+        ['u_resolution', 'u_pixelRatio', 'u_shape', 'u_image', 'u_imageExtent'].forEach((name) => {
+            locations[name] = gl.getUniformLocation(program, name);
+        });
+        return locations;
     };
-    
+
     /**
-     * Handle mouse leave
+     * Resize the drawing buffer
+     * @param {Number} width - Width in CSS pixels
+     * @param {Number} height - Height in CSS pixels
+     * @param {Number} dpr - Device pixel ratio
      */
-    DotWave.prototype._handleMouseLeave = function() {
-        this.isMouseOver = false;
-        // Gradually reduce mouse speed when leaving
-        this.mouseSpeedX *= 0.5;
-        this.mouseSpeedY *= 0.5;
+    WebGLRenderer.prototype.resize = function(width, height, dpr) {
+        this.width = width;
+        this.height = height;
+        this.dpr = dpr;
+        if (this.gl) {
+            this.gl.viewport(0, 0, this.gl.drawingBufferWidth, this.gl.drawingBufferHeight);
+        }
     };
-    
+
     /**
-     * Handle window resize with debounce
+     * Upload the dot image as a texture
+     * @param {HTMLImageElement|ImageBitmap|null} img - Image, or null to draw shapes
      */
-    DotWave.prototype._handleResize = function() {
-        clearTimeout(this.resizeTimeout);
-        this.resizeTimeout = setTimeout(() => {
-            this._updateCanvasSize();
-        }, 250);
+    WebGLRenderer.prototype.setImage = function(img) {
+        if (img === this.image) return;
+        this.image = img;
+        if (!img) return;
+
+        // Keep the image aspect ratio with the larger side matching the dot diameter
+        const ratio = (img.naturalWidth || img.width) / (img.naturalHeight || img.height);
+        this.imageExtent = ratio >= 1 ? [1, 1 / ratio] : [ratio, 1];
+
+        if (this.gl) {
+            const gl = this.gl;
+            gl.bindTexture(gl.TEXTURE_2D, this.texture);
+            gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, img);
+        }
     };
-    
+
     /**
-     * Smooth angle interpolation with proper wrapping
-     * @param {Number} current - Current angle
-     * @param {Number} target - Target angle
-     * @param {Number} factor - Interpolation factor (0-1)
-     * @return {Number} New interpolated angle
+     * Convert a CSS color to normalized RGBA components (cached per color)
+     * @param {String} color - CSS color
+     * @return {Array} [r, g, b, a] in the 0-1 range
      */
-    DotWave.prototype._lerpAngle = function(current, target, factor) {
+    WebGLRenderer.prototype.colorOf = function(color) {
+        let rgba = this.colorCache[color];
+        if (!rgba) {
+            const parts = this.parse(color) || [255, 255, 255, 1];
+            rgba = this.colorCache[color] = [parts[0] / 255, parts[1] / 255, parts[2] / 255, parts[3]];
+        }
+        return rgba;
+    };
+
+    /**
+     * Fill the instance buffer from the dots
+     * @param {Array} dots - Dots to draw
+     * @param {Function} getStretch - Returns the stretch amount of a dot
+     * @return {Float32Array} Instance data, GL_INSTANCE_FLOATS floats per dot
+     */
+    WebGLRenderer.prototype.buildInstanceData = function(dots, getStretch) {
+        const size = dots.length * GL_INSTANCE_FLOATS;
+        if (this.instanceData.length < size) {
+            this.instanceData = new Float32Array(size);
+        }
+
+        const data = this.instanceData;
+        for (let i = 0, o = 0; i < dots.length; i++, o += GL_INSTANCE_FLOATS) {
+            const dot = dots[i];
+            const stretchAmount = getStretch(dot);
+            const rgba = this.colorOf(dot.color);
+
+            data[o] = dot.x;
+            data[o + 1] = dot.y;
+            data[o + 2] = dot.radius;
+            data[o + 3] = stretchAmount > 0 ? (dot.radius + stretchAmount) / dot.radius : 1;
+            data[o + 4] = stretchAmount > 0 ? dot.currentAngle : 0;
+            data[o + 5] = rgba[0];
+            data[o + 6] = rgba[1];
+            data[o + 7] = rgba[2];
+            data[o + 8] = rgba[3] * dot.alpha;
+        }
+        return data.subarray(0, size);
+    };
+
+    /**
+     * Fill the line buffer from connection batches
+     * @param {Array} batches - Batches of { color, alpha, coords }
+     * @return {Float32Array} Line vertices: x, y, r, g, b, a per vertex
+     */
+    WebGLRenderer.prototype.buildLineData = function(batches) {
+        let size = 0;
+        for (let i = 0; i < batches.length; i++) {
+            size += batches[i].coords.length / 2 * 6;
+        }
+        if (this.lineData.length < size) {
+            this.lineData = new Float32Array(size);
+        }
+
+        const data = this.lineData;
+        let o = 0;
+        for (let i = 0; i < batches.length; i++) {
+            const rgba = this.colorOf(batches[i].color);
+            const alpha = rgba[3] * batches[i].alpha;
+            const coords = batches[i].coords;
+            for (let k = 0; k < coords.length; k += 2) {
+                data[o++] = coords[k];
+                data[o++] = coords[k + 1];
+                data[o++] = rgba[0];
+                data[o++] = rgba[1];
+                data[o++] = rgba[2];
+                data[o++] = alpha;
+            }
+        }
+        return data.subarray(0, size);
+    };
+
+    /**
+     * Clear the canvas with the background color
+     * @param {String} backgroundColor - CSS color or 'transparent'
+     */
+    WebGLRenderer.prototype.clear = function(backgroundColor) {
+        const gl = this.gl;
+        if (backgroundColor === 'transparent') {
+            gl.clearColor(0, 0, 0, 0);
+        } else {
+            const rgba = this.colorOf(backgroundColor);
+            gl.clearColor(rgba[0] * rgba[3], rgba[1] * rgba[3], rgba[2] * rgba[3], rgba[3]);
+        }
+        gl.clear(gl.COLOR_BUFFER_BIT);
+    };
+
+    /**
+     * Draw connection lines
+     * @param {Array} batches - Batches of { color, alpha, coords }
+     * @param {Number} lineWidth - Line width (most browsers only support 1)
+     */
+    WebGLRenderer.prototype.drawLines = function(batches, lineWidth) {
+        const gl = this.gl;
+        const data = this.buildLineData(batches);
+        if (data.length === 0) return;
+
+        const p = this.lineProgram;
+        gl.useProgram(p.program);
+        gl.uniform2f(p.u_resolution, this.width, this.height);
+        gl.lineWidth(lineWidth);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.lineBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(p.a_position);
+        gl.vertexAttribPointer(p.a_position, 2, gl.FLOAT, false, 24, 0);
+        gl.enableVertexAttribArray(p.a_color);
+        gl.vertexAttribPointer(p.a_color, 4, gl.FLOAT, false, 24, 8);
+
+        gl.drawArrays(gl.LINES, 0, data.length / 6);
+
+        gl.disableVertexAttribArray(p.a_position);
+        gl.disableVertexAttribArray(p.a_color);
+    };
+
+    /**
+     * Draw all dots with one instanced draw call
+     * @param {Array} dots - Dots to draw
+     * @param {String} shape - Shape name
+     * @param {Function} getStretch - Returns the stretch amount of a dot
+     */
+    WebGLRenderer.prototype.drawDots = function(dots, shape, getStretch) {
+        const gl = this.gl;
+        const data = this.buildInstanceData(dots, getStretch);
+        if (dots.length === 0) return;
+
+        // Draw circles while the image is loading, like the canvas renderer
+        let shapeId = GL_SHAPES[shape] || 0;
+        if (shapeId === GL_SHAPES.image && !this.image) shapeId = GL_SHAPES.circle;
+
+        const p = this.dotProgram;
+        const stride = GL_INSTANCE_FLOATS * 4;
+        gl.useProgram(p.program);
+        gl.uniform2f(p.u_resolution, this.width, this.height);
+        gl.uniform1f(p.u_pixelRatio, this.dpr);
+        gl.uniform1i(p.u_shape, shapeId);
+        gl.uniform2f(p.u_imageExtent, this.imageExtent[0], this.imageExtent[1]);
+        gl.uniform1i(p.u_image, 0);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+        gl.enableVertexAttribArray(p.a_corner);
+        gl.vertexAttribPointer(p.a_corner, 2, gl.FLOAT, false, 0, 0);
+        this.vertexAttribDivisor(p.a_corner, 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW);
+        [[p.a_position, 2, 0], [p.a_transform, 3, 8], [p.a_color, 4, 20]].forEach((attr) => {
+            gl.enableVertexAttribArray(attr[0]);
+            gl.vertexAttribPointer(attr[0], attr[1], gl.FLOAT, false, stride, attr[2]);
+            this.vertexAttribDivisor(attr[0], 1);
+        });
+
+        this.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, dots.length);
+
+        // Reset divisors so the line program's attributes aren't instanced
+        [p.a_corner, p.a_position, p.a_transform, p.a_color].forEach((location) => {
+            this.vertexAttribDivisor(location, 0);
+            gl.disableVertexAttribArray(location);
+        });
+    };
+    
+    /**
+     * Mulberry32 pseudo random number generator
+     * @param {Number} seed - 32-bit integer seed
+     * @return {Function} Returns a number in [0, 1) on every call
+     */
+    function mulberry32(seed) {
+        let a = seed >>> 0;
+        return function() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Gradient directions of the 3D simplex noise
+    const NOISE_GRAD3 = [
+        1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+        1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+        0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1
+    ];
+
+    // Noise functions by seed, shared between instances
+    const noiseCache = {};
+
+    /**
+     * Get a seeded 3D simplex noise function (based on Stefan Gustavson's implementation)
+     * @param {Number} seed - Noise seed
+     * @return {Function} noise(x, y, z) returning a value in [-1, 1]
+     */
+    function getNoise3D(seed) {
+        if (noiseCache[seed]) return noiseCache[seed];
+
+        // Seeded permutation table, doubled to avoid index wrapping
+        const random = mulberry32(seed);
+        const p = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) p[i] = i;
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            const swap = p[i];
+            p[i] = p[j];
+            p[j] = swap;
+        }
+        const perm = new Uint8Array(512);
+        const permMod12 = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            perm[i] = p[i & 255];
+            permMod12[i] = perm[i] % 12;
+        }
+
+        const F3 = 1 / 3;
+        const G3 = 1 / 6;
+
+        const corner = function(gi, x, y, z) {
+            let t = 0.6 - x * x - y * y - z * z;
+            if (t < 0) return 0;
+            t *= t;
+            const g = gi * 3;
+            return t * t * (NOISE_GRAD3[g] * x + NOISE_GRAD3[g + 1] * y + NOISE_GRAD3[g + 2] * z);
+        };
+
+        const noise = function(xin, yin, zin) {
+            // Skew the input space to find the simplex cell
+            const s = (xin + yin + zin) * F3;
+            const i = Math.floor(xin + s);
+            const j = Math.floor(yin + s);
+            const k = Math.floor(zin + s);
+            const t = (i + j + k) * G3;
+            const x0 = xin - (i - t);
+            const y0 = yin - (j - t);
+            const z0 = zin - (k - t);
+
+            // Find which of the six simplices we are in
+            let i1, j1, k1, i2, j2, k2;
+            if (x0 >= y0) {
+                if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+                else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+                else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+            } else {
+                if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+                else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+                else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            }
+
+            const ii = i & 255;
+            const jj = j & 255;
+            const kk = k & 255;
+
+            return 32 * (
+                corner(permMod12[ii + perm[jj + perm[kk]]], x0, y0, z0) +
+                corner(permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]],
+                    x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3) +
+                corner(permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]],
+                    x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3) +
+                corner(permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]],
+                    x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3)
+            );
+        };
+
+        noiseCache[seed] = noise;
+        return noise;
+    }
+
+    // CSS named colors, as 0xRRGGBB
+    const NAMED_COLORS = {
+        aliceblue: 0xf0f8ff, antiquewhite: 0xfaebd7, aqua: 0x00ffff, aquamarine: 0x7fffd4, azure: 0xf0ffff,
+        beige: 0xf5f5dc, bisque: 0xffe4c4, black: 0x000000, blanchedalmond: 0xffebcd, blue: 0x0000ff,
+        blueviolet: 0x8a2be2, brown: 0xa52a2a, burlywood: 0xdeb887, cadetblue: 0x5f9ea0, chartreuse: 0x7fff00,
+        chocolate: 0xd2691e, coral: 0xff7f50, cornflowerblue: 0x6495ed, cornsilk: 0xfff8dc, crimson: 0xdc143c,
+        cyan: 0x00ffff, darkblue: 0x00008b, darkcyan: 0x008b8b, darkgoldenrod: 0xb8860b, darkgray: 0xa9a9a9,
+        darkgreen: 0x006400, darkgrey: 0xa9a9a9, darkkhaki: 0xbdb76b, darkmagenta: 0x8b008b,
+        darkolivegreen: 0x556b2f, darkorange: 0xff8c00, darkorchid: 0x9932cc, darkred: 0x8b0000,
+        darksalmon: 0xe9967a, darkseagreen: 0x8fbc8f, darkslateblue: 0x483d8b, darkslategray: 0x2f4f4f,
+        darkslategrey: 0x2f4f4f, darkturquoise: 0x00ced1, darkviolet: 0x9400d3, deeppink: 0xff1493,
+        deepskyblue: 0x00bfff, dimgray: 0x696969, dimgrey: 0x696969, dodgerblue: 0x1e90ff, firebrick: 0xb22222,
+        floralwhite: 0xfffaf0, forestgreen: 0x228b22, fuchsia: 0xff00ff, gainsboro: 0xdcdcdc,
+        ghostwhite: 0xf8f8ff, gold: 0xffd700, goldenrod: 0xdaa520, gray: 0x808080, green: 0x008000,
+        greenyellow: 0xadff2f, grey: 0x808080, honeydew: 0xf0fff0, hotpink: 0xff69b4, indianred: 0xcd5c5c,
+        indigo: 0x4b0082, ivory: 0xfffff0, khaki: 0xf0e68c, lavender: 0xe6e6fa, lavenderblush: 0xfff0f5,
+        lawngreen: 0x7cfc00, lemonchiffon: 0xfffacd, lightblue: 0xadd8e6, lightcoral: 0xf08080,
+        lightcyan: 0xe0ffff, lightgoldenrodyellow: 0xfafad2, lightgray: 0xd3d3d3, lightgreen: 0x90ee90,
+        lightgrey: 0xd3d3d3, lightpink: 0xffb6c1, lightsalmon: 0xffa07a, lightseagreen: 0x20b2aa,
+        lightskyblue: 0x87cefa, lightslategray: 0x778899, lightslategrey: 0x778899, lightsteelblue: 0xb0c4de,
+        lightyellow: 0xffffe0, lime: 0x00ff00, limegreen: 0x32cd32, linen: 0xfaf0e6, magenta: 0xff00ff,
+        maroon: 0x800000, mediumaquamarine: 0x66cdaa, mediumblue: 0x0000cd, mediumorchid: 0xba55d3,
+        mediumpurple: 0x9370db, mediumseagreen: 0x3cb371, mediumslateblue: 0x7b68ee,
+        mediumspringgreen: 0x00fa9a, mediumturquoise: 0x48d1cc, mediumvioletred: 0xc71585,
+        midnightblue: 0x191970, mintcream: 0xf5fffa, mistyrose: 0xffe4e1, moccasin: 0xffe4b5,
+        navajowhite: 0xffdead, navy: 0x000080, oldlace: 0xfdf5e6, olive: 0x808000, olivedrab: 0x6b8e23,
+        orange: 0xffa500, orangered: 0xff4500, orchid: 0xda70d6, palegoldenrod: 0xeee8aa, palegreen: 0x98fb98,
+        paleturquoise: 0xafeeee, palevioletred: 0xdb7093, papayawhip: 0xffefd5, peachpuff: 0xffdab9,
+        peru: 0xcd853f, pink: 0xffc0cb, plum: 0xdda0dd, powderblue: 0xb0e0e6, purple: 0x800080,
+        rebeccapurple: 0x663399, red: 0xff0000, rosybrown: 0xbc8f8f, royalblue: 0x4169e1, saddlebrown: 0x8b4513,
+        salmon: 0xfa8072, sandybrown: 0xf4a460, seagreen: 0x2e8b57, seashell: 0xfff5ee, sienna: 0xa0522d,
+        silver: 0xc0c0c0, skyblue: 0x87ceeb, slateblue: 0x6a5acd, slategray: 0x708090, slategrey: 0x708090,
+        snow: 0xfffafa, springgreen: 0x00ff7f, steelblue: 0x4682b4, tan: 0xd2b48c, teal: 0x008080,
+        thistle: 0xd8bfd8, tomato: 0xff6347, turquoise: 0x40e0d0, violet: 0xee82ee, wheat: 0xf5deb3,
+        white: 0xffffff, whitesmoke: 0xf5f5f5, yellow: 0xffff00, yellowgreen: 0x9acd32
+    };
+
+    /**
+     * Read a number, percentage or angle from a color function
+     * @param {String} value - Component, e.g. '50%', '0.5', '90deg' or 'none'
+     * @param {Number} percent - Value of 100%
+     * @return {Number}
+     */
+    function colorComponent(value, percent) {
+        if (value === 'none') return 0;
+        const number = parseFloat(value);
+        if (value.endsWith('%')) return number / 100 * percent;
+        return number;
+    }
+
+    /**
+     * Read a hue, in degrees
+     * @param {String} value - Hue, e.g. '120', '120deg', '0.5turn' or '1rad'
+     * @return {Number} Degrees
+     */
+    function colorHue(value) {
+        if (value === 'none') return 0;
+        const number = parseFloat(value);
+        if (value.endsWith('turn')) return number * 360;
+        if (value.endsWith('grad')) return number * 0.9;
+        if (value.endsWith('rad')) return number * 180 / Math.PI;
+        return number;
+    }
+
+    /**
+     * Convert linear light sRGB components (0-1) to gamma encoded components (0-255),
+     * clipping colors outside the sRGB gamut
+     * @param {Number} r - Red
+     * @param {Number} g - Green
+     * @param {Number} b - Blue
+     * @param {Number} alpha - Alpha (0-1)
+     * @return {Array} [r, g, b, a]
+     */
+    function linearToRgb(r, g, b, alpha) {
+        const gamma = (v) => {
+            v = v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+            return Math.round(Math.min(Math.max(v, 0), 1) * 255);
+        };
+        return [gamma(r), gamma(g), gamma(b), alpha];
+    }
+
+    /**
+     * Convert HSL to sRGB
+     * @param {Number} h - Hue in degrees
+     * @param {Number} s - Saturation (0-1)
+     * @param {Number} l - Lightness (0-1)
+     * @return {Array} [r, g, b] in 0-255
+     */
+    function hslToRgb(h, s, l) {
+        h = ((h % 360) + 360) % 360;
+        const channel = (n) => {
+            const k = (n + h / 30) % 12;
+            return Math.round((l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255);
+        };
+        return [channel(0), channel(8), channel(4)];
+    }
+
+    /**
+     * Convert OKLab to sRGB
+     * @param {Number} L - Lightness (0-1)
+     * @param {Number} A - Green-red axis
+     * @param {Number} B - Blue-yellow axis
+     * @param {Number} alpha - Alpha (0-1)
+     * @return {Array} [r, g, b, a]
+     */
+    function oklabToRgb(L, A, B, alpha) {
+        const l = Math.pow(L + 0.3963377774 * A + 0.2158037573 * B, 3);
+        const m = Math.pow(L - 0.1055613458 * A - 0.0638541728 * B, 3);
+        const s = Math.pow(L - 0.0894841775 * A - 1.2914855480 * B, 3);
+
+        return linearToRgb(
+            4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+            -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+            -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+            alpha
+        );
+    }
+
+    /**
+     * Convert CIE Lab (D50 white point, as in CSS) to sRGB
+     * @param {Number} L - Lightness (0-100)
+     * @param {Number} A - Green-red axis
+     * @param {Number} B - Blue-yellow axis
+     * @param {Number} alpha - Alpha (0-1)
+     * @return {Array} [r, g, b, a]
+     */
+    function labToRgb(L, A, B, alpha) {
+        const kappa = 24389 / 27;
+        const epsilon = 216 / 24389;
+        const fy = (L + 16) / 116;
+        const fx = A / 500 + fy;
+        const fz = fy - B / 200;
+
+        const x = 0.96422 * (fx * fx * fx > epsilon ? fx * fx * fx : (116 * fx - 16) / kappa);
+        const y = L > kappa * epsilon ? fy * fy * fy : L / kappa;
+        const z = 0.82521 * (fz * fz * fz > epsilon ? fz * fz * fz : (116 * fz - 16) / kappa);
+
+        // XYZ (D50) to linear sRGB, including the Bradford adaptation to D65
+        return linearToRgb(
+            3.1338561 * x - 1.6168667 * y - 0.4906146 * z,
+            -0.9787684 * x + 1.9161415 * y + 0.0334540 * z,
+            0.0719453 * x - 0.2289914 * y + 1.4052427 * z,
+            alpha
+        );
+    }
+
+    /**
+     * Parse a CSS color into its components
+     * Supports every CSS Color 4 syntax that doesn't depend on the page: named colors,
+     * transparent, hex (3, 4, 6 and 8 digits), rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch()
+     * and color() in the srgb, srgb-linear and display-p3 spaces, with legacy (comma) and
+     * modern (space and slash) syntax. CSS variables and currentColor need DotWave's _parseColor.
+     * @param {String} color - CSS color
+     * @return {Array|null} [r, g, b, a] with r, g, b in 0-255 and a in 0-1, or null if not supported
+     */
+    function parseColor(color) {
+        color = String(color).trim().toLowerCase();
+
+        if (color === 'transparent') return [0, 0, 0, 0];
+
+        if (color.startsWith('#')) {
+            let hex = color.substring(1);
+            if (!/^[0-9a-f]+$/.test(hex)) return null;
+            if (hex.length === 3 || hex.length === 4) {
+                hex = hex.replace(/./g, '$&$&');
+            }
+            if (hex.length !== 6 && hex.length !== 8) return null;
+            const channel = (i) => parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+            return [channel(0), channel(1), channel(2), hex.length === 8 ? channel(3) / 255 : 1];
+        }
+
+        if (NAMED_COLORS.hasOwnProperty(color)) {
+            const value = NAMED_COLORS[color];
+            return [value >> 16, (value >> 8) & 255, value & 255, 1];
+        }
+
+        const match = /^([a-z-]+)\((.*)\)$/.exec(color);
+        if (!match) return null;
+
+        // Legacy syntax separates with commas, modern syntax with spaces and a slash before alpha
+        const body = match[2].trim();
+        let parts;
+        let alpha = '1';
+        if (body.indexOf(',') !== -1) {
+            parts = body.split(',').map((part) => part.trim());
+            if (parts.length === 4) alpha = parts.pop();
+        } else {
+            const slash = body.split('/');
+            if (slash.length === 2) alpha = slash[1].trim();
+            parts = slash[0].trim().split(/\s+/);
+        }
+
+        let space = match[1];
+        if (space === 'color') {
+            space = parts.shift();
+        }
+        if (parts.length !== 3 || parts.some((part) => isNaN(parseFloat(part)) && part !== 'none')) {
+            return null;
+        }
+
+        const a = Math.min(Math.max(colorComponent(alpha, 1), 0), 1);
+        const p = parts;
+
+        switch (space) {
+            case 'rgb':
+            case 'rgba':
+                return [0, 1, 2].map((i) => Math.round(Math.min(Math.max(colorComponent(p[i], 255), 0), 255))).concat(a);
+            case 'hsl':
+            case 'hsla': {
+                // Saturation and lightness are percentages, also when given as plain numbers
+                const s = Math.min(Math.max(parseFloat(p[1]) || 0, 0), 100) / 100;
+                const l = Math.min(Math.max(parseFloat(p[2]) || 0, 0), 100) / 100;
+                return hslToRgb(colorHue(p[0]), s, l).concat(a);
+            }
+            case 'hwb': {
+                let white = (parseFloat(p[1]) || 0) / 100;
+                let black = (parseFloat(p[2]) || 0) / 100;
+                if (white + black >= 1) {
+                    const gray = Math.round(white / (white + black) * 255);
+                    return [gray, gray, gray, a];
+                }
+                return hslToRgb(colorHue(p[0]), 1, 0.5).map((v) => Math.round(v * (1 - white - black) + white * 255)).concat(a);
+            }
+            case 'lab':
+                return labToRgb(colorComponent(p[0], 100), colorComponent(p[1], 125), colorComponent(p[2], 125), a);
+            case 'lch': {
+                const hue = colorHue(p[2]) * Math.PI / 180;
+                const chroma = colorComponent(p[1], 150);
+                return labToRgb(colorComponent(p[0], 100), chroma * Math.cos(hue), chroma * Math.sin(hue), a);
+            }
+            case 'oklab':
+                return oklabToRgb(colorComponent(p[0], 1), colorComponent(p[1], 0.4), colorComponent(p[2], 0.4), a);
+            case 'oklch': {
+                const hue = colorHue(p[2]) * Math.PI / 180;
+                const chroma = colorComponent(p[1], 0.4);
+                return oklabToRgb(colorComponent(p[0], 1), chroma * Math.cos(hue), chroma * Math.sin(hue), a);
+            }
+            case 'srgb':
+                return [0, 1, 2].map((i) => Math.round(Math.min(Math.max(colorComponent(p[i], 1), 0), 1) * 255)).concat(a);
+            case 'srgb-linear':
+                return linearToRgb(colorComponent(p[0], 1), colorComponent(p[1], 1), colorComponent(p[2], 1), a);
+            case 'display-p3': {
+                const lin = (v) => {
+                    v = colorComponent(v, 1);
+                    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+                };
+                const r = lin(p[0]);
+                const g = lin(p[1]);
+                const b = lin(p[2]);
+                return linearToRgb(
+                    1.2249401 * r - 0.2249404 * g,
+                    -0.0420569 * r + 1.0420571 * g,
+                    -0.0196376 * r - 0.0786361 * g + 1.0982735 * b,
+                    a
+                );
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Convert an sRGB color to OKLCH
+     * @param {Array} rgba - [r, g, b, a] with r, g, b in 0-255
+     * @return {Array} [l, c, h, a] with h in degrees
+     */
+    function rgbToOklch(rgba) {
+        const lin = (v) => {
+            v /= 255;
+            return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+        };
+        const r = lin(rgba[0]);
+        const g = lin(rgba[1]);
+        const b = lin(rgba[2]);
+
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+        const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+        const A = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+        const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+
+        const h = Math.atan2(B, A) * 180 / Math.PI;
+        return [L, Math.sqrt(A * A + B * B), h < 0 ? h + 360 : h, rgba[3]];
+    }
+
+    /**
+     * Convert an OKLCH color to sRGB, clipping colors outside the sRGB gamut
+     * @param {Array} lcha - [l, c, h, a] with h in degrees
+     * @return {Array} [r, g, b, a] with r, g, b in 0-255
+     */
+    function oklchToRgb(lcha) {
+        const hue = lcha[2] * Math.PI / 180;
+        return oklabToRgb(lcha[0], lcha[1] * Math.cos(hue), lcha[1] * Math.sin(hue), lcha[3]);
+    }
+
+    /**
+     * Format color components as a CSS color
+     * @param {Array} rgba - [r, g, b, a] with r, g, b in 0-255
+     * @return {String} rgb() or, for translucent colors, rgba() string
+     */
+    function formatColor(rgba) {
+        const rgb = Math.round(rgba[0]) + ', ' + Math.round(rgba[1]) + ', ' + Math.round(rgba[2]);
+        return rgba[3] < 1 ? 'rgba(' + rgb + ', ' + rgba[3] + ')' : 'rgb(' + rgb + ')';
+    }
+
+    /**
+     * Interpolate between two colors
+     * @param {Array} from - [r, g, b, a] start color
+     * @param {Array} to - [r, g, b, a] end color
+     * @param {Number} t - Position between the colors (0-1)
+     * @param {String} space - 'rgb' or 'oklch'
+     * @return {Array} [r, g, b, a]
+     */
+    function mixColors(from, to, t, space) {
+        const lerp = (a, b) => a + (b - a) * t;
+        if (space !== 'oklch') {
+            return [lerp(from[0], to[0]), lerp(from[1], to[1]), lerp(from[2], to[2]), lerp(from[3], to[3])];
+        }
+
+        const a = rgbToOklch(from);
+        const b = rgbToOklch(to);
+
+        // Grays have no hue, so they take the hue of the other color instead of passing through red
+        if (a[1] < 0.0001) a[2] = b[2];
+        if (b[1] < 0.0001) b[2] = a[2];
+
+        // Go around the hue circle the short way
+        let dh = b[2] - a[2];
+        if (dh > 180) dh -= 360;
+        if (dh < -180) dh += 360;
+
+        return oklchToRgb([lerp(a[0], b[0]), lerp(a[1], b[1]), a[2] + dh * t, lerp(a[3], b[3])]);
+    }
+
+    // Number of precomputed colors per gradient, which keeps the renderers' color caches small
+    const GRADIENT_STEPS = 64;
+
+    /**
+     * Precompute the colors along a gradient
+     * @param {Array} stops - CSS colors, spread evenly from 0 to 1
+     * @param {String} space - Interpolation space: 'rgb' or 'oklch'
+     * @param {Function} parse - Converts a CSS color to [r, g, b, a]
+     * @return {Array} GRADIENT_STEPS CSS color strings
+     */
+    function buildGradient(stops, space, parse) {
+        const colors = stops.map((stop) => parse(stop) || [255, 255, 255, 1]);
+        const table = [];
+
+        for (let i = 0; i < GRADIENT_STEPS; i++) {
+            const position = i / (GRADIENT_STEPS - 1) * (colors.length - 1);
+            const index = Math.min(Math.floor(position), colors.length - 2);
+            table.push(colors.length === 1 ? formatColor(colors[0]) :
+                formatColor(mixColors(colors[index], colors[index + 1], position - index, space)));
+        }
+        return table;
+    }
+
+    /**
+     * Precompute a color with its hue rotated once around the OKLCH hue circle
+     * @param {String} color - CSS color
+     * @param {Function} parse - Converts a CSS color to [r, g, b, a]
+     * @return {Array} GRADIENT_STEPS CSS color strings, starting with the color itself
+     */
+    function buildHueCycle(color, parse) {
+        const lcha = rgbToOklch(parse(color) || [255, 255, 255, 1]);
+        const table = [];
+
+        for (let i = 0; i < GRADIENT_STEPS; i++) {
+            table.push(formatColor(oklchToRgb([lcha[0], lcha[1], lcha[2] + i / GRADIENT_STEPS * 360, lcha[3]])));
+        }
+        return table;
+    }
+
+    // Registered forces, see DotWave.registerForce
+    const forceRegistry = {};
+
+    /**
+     * Constant directional flow
+     * Params: angle (degrees, 0 = right, 90 = down), strength
+     */
+    forceRegistry.stream = function(dot, deltaTime, context) {
+        const angle = context.params.angle * Math.PI / 180;
+        return {
+            x: Math.cos(angle) * context.params.strength,
+            y: Math.sin(angle) * context.params.strength
+        };
+    };
+
+    /**
+     * Swirl around a center point
+     * Params: centerX, centerY (fractions of the canvas size), strength (negative reverses the spin)
+     */
+    forceRegistry.vortex = function(dot, deltaTime, context) {
+        const params = context.params;
+        const cdx = dot.x - params.centerX * context.width;
+        const cdy = dot.y - params.centerY * context.height;
+        const cDist = Math.sqrt(cdx * cdx + cdy * cdy) || 1;
+        const nx = cdx / cDist;
+        const ny = cdy / cDist;
+
+        // Tangential force spins dots around the center, with a slight
+        // inward pull (fading near the center) to hold the swirl together
+        const inward = 0.2 * Math.min(cDist / 100, 1);
+        return {
+            x: (-ny - nx * inward) * params.strength,
+            y: (nx - ny * inward) * params.strength
+        };
+    };
+
+    /**
+     * Smooth curling flow following a time-evolving simplex noise field
+     * The velocity is the curl of the noise, so dots follow streamlines instead of piling up
+     * Params: scale, speed, seed, strength
+     */
+    forceRegistry.flow = function(dot, deltaTime, context) {
+        const params = context.params;
+        const noise = getNoise3D(params.seed);
+        const x = dot.x * params.scale;
+        const y = dot.y * params.scale;
+        const z = context.time / 1000 * params.speed;
+        const e = 0.01; // Finite difference step in noise space
+
+        // Curl of the 2D potential: (dN/dy, -dN/dx)
+        const n = noise(x, y, z);
+        const dndx = (noise(x + e, y, z) - n) / e;
+        const dndy = (noise(x, y + e, z) - n) / e;
+        return {
+            x: dndy * params.strength * 0.5,
+            y: -dndx * params.strength * 0.5
+        };
+    };
+
+    // Forces that exist in every context, including the worker renderer
+    const builtinForces = Object.keys(forceRegistry);
+
+    // Methods implementing the behavior option
+    const BEHAVIORS = { repel: '_repel', flock: '_flock', gravity: '_gravity' };
+
+    // Default configuration, shared by DotWave and DotWave.Simulation
+    const DEFAULTS = {
+        container: 'body',           // Container selector or DOM element
+        numDots: 400,                // Number of dots
+        dotColor: 'white',           // Dot color (CSS color)
+        backgroundColor: 'black',    // Background color
+        dotMinSize: 1,               // Minimum dot size
+        dotMaxSize: 3,               // Maximum dot size
+        dotMinOpacity: 0.5,          // Minimum dot opacity
+        dotMaxOpacity: 1,            // Maximum dot opacity
+        influenceRadius: 100,        // Mouse influence radius
+        influenceStrength: 0.5,      // Mouse influence strength
+        randomFactor: 0.05,          // Random movement factor
+        friction: 0.97,              // Movement friction
+        maxSpeed: 3,                 // Maximum dot speed
+        reactive: true,              // Toggle for cursor reactivity
+        zIndex: -1,                  // Canvas z-index
+        mouseSpeedDecay: 0.85,       // How quickly mouse speed decays
+        maxMouseSpeed: 15,           // Maximum mouse speed to prevent jumps
+        dotStretch: true,            // Enable dot stretching based on velocity
+        dotStretchMult: 10,          // How much to stretch the dots
+        dotMaxStretch: 20,           // Maximum stretch amount
+        rotSmoothing: false,         // Toggle for rotation smoothing of dots
+        rotSmoothingIntensity: 150,  // Rotation smoothing duration in milliseconds
+        dotShape: 'circle',          // Dot shape: 'circle', 'square', 'triangle', 'star', 'image' or a custom draw function
+        dotImage: null,              // Image URL used when dotShape is 'image'
+        dotColors: null,             // Array of colors; each dot picks one at random (overrides dotColor)
+        motion: 'none',              // Autonomous motion preset: 'none', 'stream', 'vortex' or 'flow'
+        motionAngle: 0,              // Stream direction in degrees (0 = right, 90 = down)
+        motionStrength: 0.05,        // Strength of the motion preset force
+        motionCenterX: 0.5,          // Vortex center X as a fraction of canvas width (0-1)
+        motionCenterY: 0.5,          // Vortex center Y as a fraction of canvas height (0-1)
+        flowScale: 0.003,            // Flow field noise scale (smaller = larger swirls)
+        flowSpeed: 0.1,              // How fast the flow field evolves over time
+        flowSeed: null,              // Seed of the flow field noise (null = random)
+        forces: null,                // Array of extra forces: registered names, { type, ...params } objects or functions
+        formStiffness: 0.02,         // Spring strength pulling dots to their targets in formText/formImage/formPath
+        formDamping: 0.08,           // How quickly dots settle on their targets (0-1)
+        touchScroll: true,           // Keep page scrolling working while a finger drags over the container
+        clickEffect: 'none',         // Shockwave on click/tap: 'none', 'burst', 'implode' or 'ripple'
+        clickStrength: 0.6,          // Strength of the click shockwave push/pull
+        clickSpeed: 600,             // Click shockwave expansion speed in pixels per second
+        clickRadius: 300,            // Radius at which the click shockwave fades out
+        connections: false,          // Join nearby dots with lines (constellation / network look)
+        connectionDistance: 100,     // Maximum distance between linked dots
+        connectionWidth: 1,          // Line width of connections
+        connectionColor: null,       // Line color (CSS color); null inherits the dot color
+        connectionMaxLinks: 3,       // Maximum number of links per dot (0 = unlimited)
+        connectionCursor: false,     // Also draw lines from the cursor to nearby dots
+        renderer: 'canvas',          // Renderer: 'canvas', 'webgl' or 'worker' (OffscreenCanvas in a Web Worker)
+        workerUrl: null,             // URL of dotwave.js for the worker renderer (defaults to the loaded script)
+        seed: null,                  // Seed for reproducible scenes (null = different on every load)
+        reducedMotion: 'static',     // With the OS "reduce motion" setting: 'static' (single frame), 'slow' or 'ignore'
+        canvasLabel: null,           // Accessible label of the canvas (role="img"); null hides it from assistive technology
+        autoPause: true,             // Pause while the container is scrolled out of view or the tab is hidden
+        resizeMode: 'scale',         // Dots on resize: 'scale' positions, 'keep' positions or keep the 'density' by adding/removing dots
+        dotDensity: null,            // Dots per 10,000 px² (overrides numDots; null = use numDots)
+        minDots: 0,                  // Minimum number of dots with dotDensity
+        maxDots: 2000,               // Maximum number of dots with dotDensity (null = unlimited)
+        colorMode: 'random',         // Dot colors: 'random' (from dotColors), 'depth', 'speed', 'position' or 'cycle'
+        colorStops: null,            // Gradient colors for the depth, speed and position modes (null = dotColors)
+        colorSpace: 'oklch',         // Gradient interpolation: 'oklch' (perceptual) or 'rgb'
+        colorGradient: 'linear',     // Gradient across the canvas in the 'position' mode: 'linear' or 'radial'
+        colorAngle: 0,               // Direction of the linear 'position' gradient in degrees (0 = left to right)
+        colorCycleSpeed: 30,         // Hue rotation in degrees per second in the 'cycle' mode
+        priority: 'normal',          // Shared scheduler priority: 'high' (never skipped), 'normal' or 'low' (throttled first)
+        adaptiveQuality: false,      // Lower the quality step by step while the frame rate stays below minFps
+        minFps: 45,                  // Frame rate adaptiveQuality tries to keep (capped just below DotWave.scheduler.maxFps)
+        fixedTimestep: null,         // Physics step in milliseconds, drawn interpolated (e.g. 1000 / 120; null = one step per frame)
+        maxSubSteps: 8,              // Most fixed steps per frame, longer gaps are dropped
+        behavior: 'none',            // Dots acting on each other: 'none', 'repel', 'flock' or 'gravity'
+        behaviorRadius: 50,          // Neighbour radius of 'flock' and 'gravity' in pixels
+        behaviorStrength: 1,         // Strength of the behavior
+        flockSeparation: 1.5,        // 'flock' weight of keeping a distance from neighbours
+        flockAlignment: 1,           // 'flock' weight of moving in the neighbours' direction
+        flockCohesion: 1,            // 'flock' weight of moving towards the neighbours' center
+        gravitySoftening: 10,        // 'gravity' distance in pixels below which the attraction stops growing
+        edgeMode: 'wrap',            // Dots leaving the area: 'wrap', 'bounce', 'respawn' or 'fade'
+        edgeBuffer: 50,              // Distance in pixels dots travel past the edges before they wrap or respawn
+        edgeRestitution: 0.8,        // Share of the speed kept when bouncing off an edge ('bounce')
+        respawnAt: 'edge',           // Where leaving dots reappear ('respawn'): 'edge' (a random one) or 'emitter'
+        emitterX: 0.5,               // Emitter X as a fraction of canvas width (0-1)
+        emitterY: 0.5,               // Emitter Y as a fraction of canvas height (0-1)
+        edgeFade: 100                // Distance from the edges in pixels over which dots fade out ('fade')
+    };
+
+    /**
+     * Merge default options with user options
+     * Only keys present in the defaults are kept
+     * @param {Object} defaults - Default options
+     * @param {Object} options - User options
+     * @return {Object} Merged options
+     */
+    function mergeOptions(defaults, options) {
+        const merged = {};
+        for (const key in defaults) {
+            merged[key] = options[key] !== undefined ? options[key] : defaults[key];
+        }
+        return merged;
+    }
+
+    /**
+     * Create the random number generator used for all randomness of a scene
+     * @param {Number|String|null} seed - Seed, or null for Math.random
+     * @return {Function} Returns a number in [0, 1) on every call
+     */
+    function createRandom(seed) {
+        if (seed === null || seed === undefined) return Math.random;
+
+        // Numeric strings (e.g. from HTML attributes) behave like numbers,
+        // other strings are hashed into a 32-bit integer
+        if (typeof seed === 'string' && seed.trim() !== '' && !isNaN(seed)) {
+            seed = Number(seed);
+        } else if (typeof seed === 'string') {
+            let hash = 2166136261;
+            for (let i = 0; i < seed.length; i++) {
+                hash = Math.imul(hash ^ seed.charCodeAt(i), 16777619);
+            }
+            seed = hash;
+        }
+        return mulberry32(seed);
+    }
+
+    /**
+     * Dot simulation without any DOM or canvas
+     * Holds the dots and moves them: pointer and shockwave influence, forces,
+     * formations, friction, speed limit and edge wrapping. DotWave drives it
+     * from the animation loop, but it runs just as well on its own (e.g. in Node).
+     * @param {Object} options - Same options as DotWave; only the physics related ones are used
+     */
+    function Simulation(options) {
+        this.options = mergeOptions(DEFAULTS, options || {});
+        this.host = null; // DotWave instance driving the simulation, if any
+        this.dots = [];
+        this.width = 0;
+        this.height = 0;
+        this.dotArea = null; // Area the dots were created for (null until they are created)
+        this.dotScale = 1; // Share of the dots simulated (lowered by adaptiveQuality)
+        this.hiddenDots = []; // Dots left out by the dotScale, brought back when it rises again
+        this.accumulator = 0; // Time not simulated yet with fixedTimestep
+        this.shockwaves = [];
+        this.grid = new SpatialGrid();
+        this.gridDirty = true;
+        this.time = 0;
+        this.random = createRandom(this.options.seed);
+        this.noiseSeed = Math.floor(this.random() * 4294967296);
+    }
+
+    /**
+     * Resize the simulated area and redistribute dots
+     * @param {Number} newWidth - New width in pixels
+     * @param {Number} newHeight - New height in pixels
+     */
+    Simulation.prototype.resize = function(newWidth, newHeight) {
+        // Store old dimensions for dot repositioning
+        const oldWidth = this.width || newWidth;
+        const oldHeight = this.height || newHeight;
+        const changed = this.width !== newWidth || this.height !== newHeight;
+
+        this.width = newWidth;
+        this.height = newHeight;
+
+        // Dots are only redistributed once they were created
+        if (changed && this.dotArea !== null) {
+            const mode = this.options.resizeMode;
+
+            // The number of dots follows the area with dotDensity or resizeMode 'density'
+            let count = this.dots.length;
+            if (this.options.dotDensity > 0) {
+                count = this._getDotCount();
+            } else if (mode === 'density' && this.dotArea > 0) {
+                count = Math.round(this.options.numDots * this.dotScale * newWidth * newHeight / this.dotArea);
+            }
+
+            if (mode === 'keep' || mode === 'density') {
+                this._fitDotCount(count, oldWidth, oldHeight);
+                this._keepDots();
+            } else {
+                this._scaleDots(newWidth / oldWidth, newHeight / oldHeight);
+                this._fitDotCount(count, 0, 0);
+            }
+            this._updateColors();
+
+            // Dots were moved, don't interpolate from their old positions
+            if (this.options.fixedTimestep > 0) this._storePositions();
+        }
+
+        this.gridDirty = true;
+    };
+
+    /**
+     * Redistribute dots proportionally to a new size
+     * @param {Number} scaleX - Horizontal scale factor
+     * @param {Number} scaleY - Vertical scale factor
+     */
+    Simulation.prototype._scaleDots = function(scaleX, scaleY) {
+        const width = this.width;
+        const height = this.height;
+        const buffer = this._getEdgeBuffer();
+
+        for (let i = 0; i < this.dots.length; i++) {
+            const dot = this.dots[i];
+
+            // Scale dot position proportionally
+            dot.x *= scaleX;
+            dot.y *= scaleY;
+
+            // Keep formations centered on the resized area
+            if (dot.target) {
+                dot.target.x *= scaleX;
+                dot.target.y *= scaleY;
+            }
+
+            // Handle dots that were in the offscreen buffer area
+            // Clamp them to the new bounds with buffer
+            if (dot.x < -buffer) dot.x = -buffer;
+            if (dot.x > width + buffer) dot.x = width + buffer;
+            if (dot.y < -buffer) dot.y = -buffer;
+            if (dot.y > height + buffer) dot.y = height + buffer;
+        }
+    };
+
+    /**
+     * Distance dots may be outside the area: the edgeBuffer with the 'wrap' and
+     * 'respawn' edge modes, none when dots bounce or fade at the edges
+     * @return {Number} Distance in pixels
+     */
+    Simulation.prototype._getEdgeBuffer = function() {
+        const mode = this.options.edgeMode;
+        return mode === 'bounce' || mode === 'fade' ? 0 : this.options.edgeBuffer;
+    };
+
+    /**
+     * Keep dots at their absolute positions after a resize
+     * Dots left outside the smaller area are moved to a random spot inside it
+     */
+    Simulation.prototype._keepDots = function() {
+        const buffer = this._getEdgeBuffer();
+        for (let i = 0; i < this.dots.length; i++) {
+            const dot = this.dots[i];
+            if (dot.x > this.width + buffer || dot.y > this.height + buffer) {
+                dot.x = this.random() * this.width;
+                dot.y = this.random() * this.height;
+            }
+        }
+    };
+
+    /**
+     * Add or remove individual dots to reach a dot count
+     * New dots appear outside the old area (the newly exposed part after a resize),
+     * and dots outside the current area are removed first
+     * @param {Number} count - Wanted number of dots
+     * @param {Number} oldWidth - Width of the old area (0 to place new dots anywhere)
+     * @param {Number} oldHeight - Height of the old area (0 to place new dots anywhere)
+     */
+    Simulation.prototype._fitDotCount = function(count, oldWidth, oldHeight) {
+        const dots = this.dots;
+
+        if (count < dots.length) {
+            let excess = dots.length - count;
+            for (let i = dots.length - 1; i >= 0 && excess > 0; i--) {
+                if (dots[i].x > this.width || dots[i].y > this.height) {
+                    dots.splice(i, 1);
+                    excess--;
+                }
+            }
+            for (; excess > 0; excess--) {
+                dots.splice(Math.floor(this.random() * dots.length), 1);
+            }
+            return;
+        }
+
+        while (dots.length < count) {
+            // Look for a spot outside the old area, giving up after a few tries
+            let x, y;
+            let tries = 0;
+            do {
+                x = this.random() * this.width;
+                y = this.random() * this.height;
+            } while (x < oldWidth && y < oldHeight && ++tries < 20);
+
+            dots.push(this._createDot(x, y));
+        }
+    };
+
+    /**
+     * Pick a color for a single dot
+     * Uses a random entry from the dotColors palette when provided,
+     * otherwise falls back to dotColor
+     * @return {String} CSS color
+     */
+    Simulation.prototype._pickDotColor = function() {
+        const colors = this.options.dotColors;
+        if (Array.isArray(colors) && colors.length > 0) {
+            return colors[Math.floor(this.random() * colors.length)];
+        }
+        return this.options.dotColor;
+    };
+
+    /**
+     * Create dots with random properties
+     */
+    Simulation.prototype.createDots = function() {
+        this.dots = [];
+        this.hiddenDots = [];
+        this.dotArea = this.width * this.height;
+
+        const count = this._getDotCount();
+        for (let i = 0; i < count; i++) {
+            this.dots.push(this._createDot());
+        }
+
+        this._updateColors();
+        this.gridDirty = true;
+    };
+
+    /**
+     * Get the number of dots for the current size
+     * @return {Number} numDots, or the count from dotDensity within minDots/maxDots
+     */
+    Simulation.prototype._getDotCount = function() {
+        const density = this.options.dotDensity;
+        if (!(density > 0)) return Math.round(this.options.numDots * this.dotScale);
+
+        // Density is given in dots per 10,000 px² (a 100x100 square)
+        let count = Math.round(density * this.width * this.height / 10000);
+        count = Math.max(count, this.options.minDots || 0);
+        if (this.options.maxDots !== null) {
+            count = Math.min(count, this.options.maxDots);
+        }
+        return Math.round(count * this.dotScale);
+    };
+
+    /**
+     * Simulate only a share of the dots, e.g. to lower the quality on slow devices
+     * Dots beyond the share are hidden right away and the same dots come back when the
+     * share rises again, so the scene doesn't change. The share also applies to later counts.
+     * @param {Number} scale - Share of the dots (0-1)
+     */
+    Simulation.prototype.setDotScale = function(scale) {
+        if (scale === this.dotScale) return;
+
+        const count = Math.round(this.dots.length / this.dotScale * scale);
+        this.dotScale = scale;
+        if (this.dotArea === null) return;
+
+        // The last hidden dots come back first, where they were hidden
+        while (this.dots.length > count) {
+            this.hiddenDots.push(this.dots.pop());
+        }
+        while (this.dots.length < count && this.hiddenDots.length > 0) {
+            this.dots.push(this.hiddenDots.pop());
+        }
+
+        // The area may have grown meanwhile: the rest are new dots, and dots
+        // hidden before a resize are moved into the area if it shrank
+        this._fitDotCount(count, 0, 0);
+        this._keepDots();
+        this._updateColors();
+        this.gridDirty = true;
+    };
+
+    /**
+     * Create a single dot with random properties
+     * @param {Number} [x] - X position (random if omitted)
+     * @param {Number} [y] - Y position (random if omitted)
+     * @return {Object} The dot
+     */
+    Simulation.prototype._createDot = function(x, y) {
+        // z represents depth (0 = far, 1 = close)
+        const z = this.random();
+
+        const dot = {
+            x: x !== undefined ? x : this.random() * this.width,
+            y: y !== undefined ? y : this.random() * this.height,
+            z: z, // Depth value
+            radius: this.options.dotMinSize + z * (this.options.dotMaxSize - this.options.dotMinSize),
+            alpha: this.options.dotMinOpacity + z * (this.options.dotMaxOpacity - this.options.dotMinOpacity),
+            color: this._pickDotColor(),
+            baseColor: null, // Color picked from the palette, dot.color may follow the colorMode
+            vx: (this.random() - 0.5) * 1.5,
+            vy: (this.random() - 0.5) * 1.5,
+            // Deeper dots move slower to create parallax effect
+            speedMultiplier: 0.3 + z * 0.7
+        };
+        dot.baseColor = dot.color;
+        dot.baseAlpha = dot.alpha;
+
+        // Only add rotation properties if stretching is enabled
+        if (this.options.dotStretch) {
+            if (this.options.rotSmoothing) {
+                // Smooth rotation: track current and target angles
+                dot.currentAngle = 0;
+                dot.targetAngle = 0;
+            } else {
+                // Instant rotation: only need current angle
+                dot.currentAngle = 0;
+            }
+        }
+
+        return dot;
+    };
+
+    /**
+     * Advance the simulation by the time of a frame
+     * With fixedTimestep the time is collected and simulated in fixed steps, up to
+     * maxSubSteps per call. Otherwise this is the same as a single step().
+     * @param {Number} dtMs - Time to advance in milliseconds
+     * @param {Object} [inputs] - Same as in step()
+     * @return {Number} How far the time is between the previous and the current step (0-1), see interpolate()
+     */
+    Simulation.prototype.advance = function(dtMs, inputs) {
+        const timestep = this.options.fixedTimestep;
+        if (!(timestep > 0)) {
+            this.step(dtMs, inputs);
+            return 1;
+        }
+
+        this.accumulator += dtMs;
+        let steps = 0;
+        while (this.accumulator >= timestep && steps < this.options.maxSubSteps) {
+            this._storePositions();
+            this.step(timestep, inputs);
+            this.accumulator -= timestep;
+            steps++;
+        }
+
+        // Drop the time that could not be caught up with, e.g. after a tab switch
+        if (this.accumulator >= timestep) {
+            this.accumulator = this.accumulator % timestep;
+        }
+        return this.accumulator / timestep;
+    };
+
+    /**
+     * Remember the dot positions before a fixed step, to interpolate from
+     */
+    Simulation.prototype._storePositions = function() {
+        for (let i = 0; i < this.dots.length; i++) {
+            const dot = this.dots[i];
+            dot.prevX = dot.x;
+            dot.prevY = dot.y;
+        }
+    };
+
+    /**
+     * Move the dots between their previous and current fixed step positions for drawing
+     * Dots that wrapped around an edge or were just added are left at their current position.
+     * Call restorePositions() after drawing to continue the simulation.
+     * @param {Number} alpha - Position between the previous (0) and current step (1)
+     */
+    Simulation.prototype.interpolate = function(alpha) {
+        const maxX = this.width / 2;
+        const maxY = this.height / 2;
+
+        for (let i = 0; i < this.dots.length; i++) {
+            const dot = this.dots[i];
+            dot.stepX = dot.x;
+            dot.stepY = dot.y;
+            if (dot.prevX === undefined) continue;
+
+            const dx = dot.x - dot.prevX;
+            const dy = dot.y - dot.prevY;
+            if (Math.abs(dx) < maxX && Math.abs(dy) < maxY) {
+                dot.x = dot.prevX + dx * alpha;
+                dot.y = dot.prevY + dy * alpha;
+            }
+        }
+        this.gridDirty = true;
+    };
+
+    /**
+     * Move the dots back to their simulated positions after interpolate()
+     */
+    Simulation.prototype.restorePositions = function() {
+        for (let i = 0; i < this.dots.length; i++) {
+            const dot = this.dots[i];
+            dot.x = dot.stepX;
+            dot.y = dot.stepY;
+        }
+        this.gridDirty = true;
+    };
+
+    /**
+     * Advance the simulation
+     * @param {Number} dtMs - Time to advance in milliseconds
+     * @param {Object} [inputs] - { pointers: [{ x, y, speedX, speedY }] }; pointer speeds
+     *     decay in place, like a cursor that stopped moving
+     */
+    Simulation.prototype.step = function(dtMs, inputs) {
+        const deltaTime = dtMs / 10; // Normalize to 100fps for frame-rate independence
+
+        // Pointers only have an effect if reactive mode is enabled
+        const pointers = this.options.reactive && inputs && inputs.pointers ? inputs.pointers : [];
+
+        // Decay pointer speed over time for smoother interaction
+        const speedDecay = Math.pow(this.options.mouseSpeedDecay, deltaTime);
+        for (let p = 0; p < pointers.length; p++) {
+            pointers[p].speedX *= speedDecay;
+            pointers[p].speedY *= speedDecay;
+        }
+
+        // Pre-calculate common values for performance
+        const randomFactor = this.options.randomFactor;
+        const friction = Math.pow(this.options.friction, deltaTime); // Frame-rate independent friction
+        const maxSpeed = this.options.maxSpeed;
+        const maxSpeedSq = maxSpeed * maxSpeed;
+
+        // Expand shockwaves and drop the ones that faded out
+        const shockwaves = this.shockwaves;
+        for (let i = shockwaves.length - 1; i >= 0; i--) {
+            const wave = shockwaves[i];
+            wave.radius += wave.speed * dtMs / 1000;
+            if (wave.radius >= wave.maxRadius) {
+                shockwaves.splice(i, 1);
+            }
+        }
+
+        // Apply pointer and shockwave influence only to the dots near them
+        if (pointers.length > 0 || shockwaves.length > 0) {
+            this._applyInteractions(pointers, shockwaves, deltaTime);
+        }
+
+        // Let the dots act on each other
+        if (this.options.behavior && this.options.behavior !== 'none') {
+            this._applyBehavior(deltaTime);
+        }
+
+        // Resolve the motion preset and custom forces
+        this.time += dtMs;
+        const forces = this._getForces();
+        const forceContext = {
+            width: this.width,
+            height: this.height,
+            time: this.time,
+            dotwave: this.host || this,
+            params: null
+        };
+        const formStiffness = this.options.formStiffness;
+        const formDamping = Math.pow(1 - this.options.formDamping, deltaTime);
+
+        // Update dots
+        for (let i = 0; i < this.dots.length; i++) {
+            const dot = this.dots[i];
+
+            if (dot.target) {
+                // Spring towards the formation target; forces would only pull the shape apart
+                dot.vx += (dot.target.x - dot.x) * formStiffness * deltaTime;
+                dot.vy += (dot.target.y - dot.y) * formStiffness * deltaTime;
+                dot.vx *= formDamping;
+                dot.vy *= formDamping;
+            } else {
+                // Apply forces: the motion preset and custom forces (frame-rate independent)
+                for (let f = 0; f < forces.length; f++) {
+                    forceContext.params = forces[f].params;
+                    const acceleration = forces[f].fn(dot, deltaTime, forceContext);
+                    if (acceleration) {
+                        dot.vx += acceleration.x * deltaTime;
+                        dot.vy += acceleration.y * deltaTime;
+                    }
+                }
+            }
+
+            // Add some randomness to movement (frame-rate independent)
+            dot.vx += (this.random() - 0.5) * randomFactor * deltaTime;
+            dot.vy += (this.random() - 0.5) * randomFactor * deltaTime;
+
+            // Apply friction to prevent excessive speed (frame-rate independent)
+            dot.vx *= friction;
+            dot.vy *= friction;
+
+            // Limit maximum speed (using squared values for performance)
+            const speedSq = dot.vx * dot.vx + dot.vy * dot.vy;
+            if (speedSq > maxSpeedSq) {
+                const scale = maxSpeed / Math.sqrt(speedSq);
+                dot.vx *= scale;
+                dot.vy *= scale;
+            }
+
+            // Update position based on velocity and depth (frame-rate independent)
+            dot.x += dot.vx * dot.speedMultiplier * deltaTime;
+            dot.y += dot.vy * dot.speedMultiplier * deltaTime;
+
+            this._applyEdge(dot, dtMs);
+        }
+
+        this._updateColors();
+
+        // Dots moved, so the neighbour grid has to be rebuilt before its next use
+        this.gridDirty = true;
+    };
+
+    /**
+     * Handle a dot at or past the edges of the area, according to edgeMode
+     * @param {Object} dot - The dot object
+     * @param {Number} dtMs - Time of the step in milliseconds
+     */
+    Simulation.prototype._applyEdge = function(dot, dtMs) {
+        const width = this.width;
+        const height = this.height;
+        const mode = this.options.edgeMode;
+
+        if (mode === 'bounce') {
+            // Reflect off the edges where the dot touches them
+            const restitution = this.options.edgeRestitution;
+            const r = dot.radius;
+            if (dot.x < r) {
+                dot.x = r;
+                dot.vx = Math.abs(dot.vx) * restitution;
+            } else if (dot.x > width - r) {
+                dot.x = width - r;
+                dot.vx = -Math.abs(dot.vx) * restitution;
+            }
+            if (dot.y < r) {
+                dot.y = r;
+                dot.vy = Math.abs(dot.vy) * restitution;
+            } else if (dot.y > height - r) {
+                dot.y = height - r;
+                dot.vy = -Math.abs(dot.vy) * restitution;
+            }
+        } else if (mode === 'respawn') {
+            const buffer = this.options.edgeBuffer;
+            if (dot.x < -buffer || dot.x > width + buffer || dot.y < -buffer || dot.y > height + buffer) {
+                this._respawnDot(dot);
+            }
+        } else if (mode === 'fade') {
+            // Dots that left reappear somewhere inside, fading in over a second
+            if (dot.x < 0 || dot.x > width || dot.y < 0 || dot.y > height) {
+                dot.x = this.random() * width;
+                dot.y = this.random() * height;
+                dot.prevX = dot.x;
+                dot.prevY = dot.y;
+                dot.fadeIn = 0;
+            }
+            if (dot.fadeIn === undefined) dot.fadeIn = 1;
+            dot.fadeIn = Math.min(dot.fadeIn + dtMs / 1000, 1);
+
+            const edgeDistance = Math.min(dot.x, width - dot.x, dot.y, height - dot.y);
+            dot.alpha = dot.baseAlpha * Math.min(edgeDistance / this.options.edgeFade, dot.fadeIn, 1);
+        } else {
+            // Wrap around edges (with a buffer to prevent popping)
+            const buffer = this.options.edgeBuffer;
+            if (dot.x < -buffer) dot.x = width + buffer;
+            if (dot.x > width + buffer) dot.x = -buffer;
+            if (dot.y < -buffer) dot.y = height + buffer;
+            if (dot.y > height + buffer) dot.y = -buffer;
+        }
+    };
+
+    /**
+     * Move a dot that left the area back in, at the emitter or just outside a random
+     * edge, heading inwards
+     * @param {Object} dot - The dot object
+     */
+    Simulation.prototype._respawnDot = function(dot) {
+        if (this.options.respawnAt === 'emitter') {
+            dot.x = this.options.emitterX * this.width;
+            dot.y = this.options.emitterY * this.height;
+            dot.vx = (this.random() - 0.5) * 1.5;
+            dot.vy = (this.random() - 0.5) * 1.5;
+        } else {
+            // Halfway into the buffer, so the dot enters the view instead of popping up in it
+            const offset = this.options.edgeBuffer / 2;
+            const along = this.random();
+            const inwards = this.random() * 0.75;
+            const across = (this.random() - 0.5) * 1.5;
+
+            switch (Math.floor(this.random() * 4)) {
+                case 0: // Left
+                    dot.x = -offset;
+                    dot.y = along * this.height;
+                    dot.vx = inwards;
+                    dot.vy = across;
+                    break;
+                case 1: // Right
+                    dot.x = this.width + offset;
+                    dot.y = along * this.height;
+                    dot.vx = -inwards;
+                    dot.vy = across;
+                    break;
+                case 2: // Top
+                    dot.x = along * this.width;
+                    dot.y = -offset;
+                    dot.vx = across;
+                    dot.vy = inwards;
+                    break;
+                default: // Bottom
+                    dot.x = along * this.width;
+                    dot.y = this.height + offset;
+                    dot.vx = across;
+                    dot.vy = -inwards;
+            }
+        }
+
+        // Don't interpolate from the position where the dot left
+        dot.prevX = dot.x;
+        dot.prevY = dot.y;
+    };
+
+    /**
+     * Parse a CSS color, through the DotWave instance when there is one so
+     * CSS variables and currentColor resolve against its container
+     * @param {String} color - CSS color
+     * @return {Array|null} [r, g, b, a]
+     */
+    Simulation.prototype._parseColor = function(color) {
+        return this.host ? this.host._parseColor(color) : parseColor(color);
+    };
+
+    /**
+     * Get the precomputed colors of the colorMode
+     * The table is cached until the options change.
+     * @return {Array|Object|null} Gradient colors, hue cycles by base color for 'cycle', or null for 'random'
+     */
+    Simulation.prototype._getColorTable = function() {
+        if (this._colorOptions === this.options) return this._colorTable;
+
+        const options = this.options;
+        let table = null;
+        if (options.colorMode === 'cycle') {
+            // Filled in lazily for each palette color
+            table = {};
+        } else if (options.colorMode !== 'random') {
+            const stops = options.colorStops || options.dotColors || [options.dotColor];
+            table = buildGradient(stops, options.colorSpace, this._parseColor.bind(this));
+        }
+
+        this._colorTable = table;
+        this._colorOptions = options;
+        return table;
+    };
+
+    /**
+     * Set the dot colors from the colorMode: by depth, speed or position along the
+     * gradient of colorStops, or with the hue of their palette color rotating over time
+     */
+    Simulation.prototype._updateColors = function() {
+        const table = this._getColorTable();
+        if (!table) return;
+
+        const options = this.options;
+        const mode = options.colorMode;
+        const dots = this.dots;
+        const last = GRADIENT_STEPS - 1;
+
+        if (mode === 'cycle') {
+            const turns = this.time / 1000 * options.colorCycleSpeed / 360;
+            const step = ((Math.floor(turns * GRADIENT_STEPS) % GRADIENT_STEPS) + GRADIENT_STEPS) % GRADIENT_STEPS;
+            for (let i = 0; i < dots.length; i++) {
+                const color = dots[i].baseColor;
+                const cycle = table[color] || (table[color] = buildHueCycle(color, this._parseColor.bind(this)));
+                dots[i].color = cycle[step];
+            }
+            return;
+        }
+
+        // Linear gradients run through the center along colorAngle, radial ones reach the corners
+        const cx = this.width / 2;
+        const cy = this.height / 2;
+        const angle = options.colorAngle * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const length = Math.abs(this.width * cos) + Math.abs(this.height * sin) || 1;
+        const radius = Math.sqrt(cx * cx + cy * cy) || 1;
+        const radial = options.colorGradient === 'radial';
+
+        for (let i = 0; i < dots.length; i++) {
+            const dot = dots[i];
+            let t;
+            if (mode === 'depth') {
+                t = dot.z;
+            } else if (mode === 'speed') {
+                t = Math.sqrt(dot.vx * dot.vx + dot.vy * dot.vy) / (options.maxSpeed || 1);
+            } else if (radial) {
+                const dx = dot.x - cx;
+                const dy = dot.y - cy;
+                t = Math.sqrt(dx * dx + dy * dy) / radius;
+            } else {
+                t = ((dot.x - cx) * cos + (dot.y - cy) * sin) / length + 0.5;
+            }
+            dot.color = table[Math.round(Math.min(Math.max(t, 0), 1) * last)];
+        }
+    };
+
+    /**
+     * Get the forces acting on dots this step
+     * Combines the motion preset with the forces option. Params default to the
+     * motion* and flow* options, so forces: ['vortex'] swirls around motionCenterX/Y.
+     * The list is cached until the options change.
+     * @return {Array} Forces as { fn, params }
+     */
+    Simulation.prototype._getForces = function() {
+        if (this._forcesOptions === this.options) return this._forces;
+
+        const options = this.options;
+        const defaults = {
+            angle: options.motionAngle,
+            strength: options.motionStrength,
+            centerX: options.motionCenterX,
+            centerY: options.motionCenterY,
+            scale: options.flowScale,
+            speed: options.flowSpeed,
+            seed: options.flowSeed !== null ? options.flowSeed : this.noiseSeed
+        };
+        const entries = [];
+        if (options.motion && options.motion !== 'none') entries.push(options.motion);
+        if (Array.isArray(options.forces)) entries.push.apply(entries, options.forces);
+
+        const forces = [];
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            const params = Object.assign({}, defaults);
+            let fn = entry;
+
+            if (typeof entry === 'string') {
+                fn = forceRegistry[entry];
+            } else if (entry && typeof entry === 'object') {
+                fn = typeof entry.type === 'function' ? entry.type : forceRegistry[entry.type];
+                Object.assign(params, entry);
+            }
+
+            if (typeof fn !== 'function') {
+                console.warn('DotWave: Unknown force: ' + (entry && entry.type || entry));
+                continue;
+            }
+            forces.push({ fn: fn, params: params });
+        }
+
+        this._forces = forces;
+        this._forcesOptions = options;
+        return forces;
+    };
+
+    /**
+     * Apply pointer and shockwave influence to nearby dots
+     * Uses the neighbour grid so only dots inside each influence area are visited
+     * @param {Array} pointers - Active pointers
+     * @param {Array} shockwaves - Active shockwaves
+     * @param {Number} deltaTime - Normalized time elapsed since last step
+     */
+    Simulation.prototype._applyInteractions = function(pointers, shockwaves, deltaTime) {
+        const dots = this.dots;
+        const grid = this._getGrid();
+        const influenceRadius = this.options.influenceRadius;
+        const influenceStrength = this.options.influenceStrength;
+
+        // Apply influence of every active pointer (mouse, pen or touches)
+        for (let p = 0; p < pointers.length; p++) {
+            const pointer = pointers[p];
+
+            grid.forEachInRadius(pointer.x, pointer.y, influenceRadius, (index, distanceSq) => {
+                const dot = dots[index];
+
+                // Stronger effect when closer
+                const distance = Math.sqrt(distanceSq);
+                const influence = (1 - distance / influenceRadius) * dot.z;
+
+                // Apply pointer speed influence
+                dot.vx += pointer.speedX * influence * influenceStrength * deltaTime;
+                dot.vy += pointer.speedY * influence * influenceStrength * deltaTime;
+            });
+        }
+
+        // Push or pull dots the shockwave rings are passing
+        for (let w = 0; w < shockwaves.length; w++) {
+            const wave = shockwaves[w];
+            grid.forEachInRadius(wave.x, wave.y, wave.radius + wave.band, (index) => {
+                this._applyShockwave(wave, dots[index], deltaTime);
+            });
+        }
+    };
+
+    /**
+     * Apply the behavior option: forces between neighbouring dots
+     * The forces are collected from the current positions and velocities first, so the
+     * result doesn't depend on the order of the dots. Dots forming a shape are left alone.
+     * @param {Number} deltaTime - Normalized time elapsed since last step
+     */
+    Simulation.prototype._applyBehavior = function(deltaTime) {
+        const behavior = this.options.behavior;
+        const method = BEHAVIORS[behavior];
+        if (!method) {
+            if (this._unknownBehavior !== behavior) {
+                console.warn('DotWave: Unknown behavior: ' + behavior);
+                this._unknownBehavior = behavior;
+            }
+            return;
+        }
+
+        const dots = this.dots;
+        const n = dots.length;
+        if (!this._behaviorForces || this._behaviorForces.length < n * 2) {
+            this._behaviorForces = new Float64Array(n * 2);
+        }
+        const forces = this._behaviorForces;
+        forces.fill(0, 0, n * 2);
+
+        this[method](this._getGrid(), forces);
+
+        const scale = this.options.behaviorStrength * deltaTime;
+        for (let i = 0; i < n; i++) {
+            if (dots[i].target) continue;
+            dots[i].vx += forces[i * 2] * scale;
+            dots[i].vy += forces[i * 2 + 1] * scale;
+        }
+    };
+
+    /**
+     * 'repel' behavior: push overlapping dots apart, like soft balls
+     * @param {SpatialGrid} grid - Up-to-date neighbour grid
+     * @param {Float64Array} forces - Receives the x and y force of every dot
+     */
+    Simulation.prototype._repel = function(grid, forces) {
+        const dots = this.dots;
+        const reach = this.options.dotMaxSize * 2;
+        let self, dot;
+
+        const push = (index, distanceSq) => {
+            if (index === self) return;
+            const other = dots[index];
+            const minDistance = dot.radius + other.radius;
+            if (distanceSq >= minDistance * minDistance) return;
+
+            // Dots on the exact same spot are pushed apart sideways
+            const distance = Math.sqrt(distanceSq);
+            const nx = distance > 0 ? (dot.x - other.x) / distance : (self < index ? 1 : -1);
+            const ny = distance > 0 ? (dot.y - other.y) / distance : 0;
+            const force = (minDistance - distance) * 0.05;
+            forces[self * 2] += nx * force;
+            forces[self * 2 + 1] += ny * force;
+        };
+
+        for (self = 0; self < dots.length; self++) {
+            dot = dots[self];
+            grid.forEachInRadius(dot.x, dot.y, reach, push);
+        }
+    };
+
+    /**
+     * 'flock' behavior: boids steering away from close neighbours (separation),
+     * towards their average direction (alignment) and towards their center (cohesion)
+     * @param {SpatialGrid} grid - Up-to-date neighbour grid
+     * @param {Float64Array} forces - Receives the x and y force of every dot
+     */
+    Simulation.prototype._flock = function(grid, forces) {
+        const dots = this.dots;
+        const options = this.options;
+        const radius = options.behaviorRadius;
+        const cruiseSpeed = options.maxSpeed / 2;
+        let self, dot, count, sepX, sepY, velX, velY, posX, posY;
+
+        const collect = (index, distanceSq) => {
+            if (index === self) return;
+            const other = dots[index];
+            const distance = Math.sqrt(distanceSq) || 1;
+
+            // Closer neighbours push harder
+            const push = 1 - distance / radius;
+            sepX += (dot.x - other.x) / distance * push;
+            sepY += (dot.y - other.y) / distance * push;
+            velX += other.vx;
+            velY += other.vy;
+            posX += other.x;
+            posY += other.y;
+            count++;
+        };
+
+        for (self = 0; self < dots.length; self++) {
+            dot = dots[self];
+
+            // Boids keep flying: speed up towards half of maxSpeed against the friction
+            const speed = Math.sqrt(dot.vx * dot.vx + dot.vy * dot.vy);
+            if (speed > 0) {
+                const boost = (cruiseSpeed - speed) / speed * 0.05;
+                forces[self * 2] = dot.vx * boost;
+                forces[self * 2 + 1] = dot.vy * boost;
+            }
+
+            count = sepX = sepY = velX = velY = posX = posY = 0;
+            grid.forEachInRadius(dot.x, dot.y, radius, collect);
+            if (count === 0) continue;
+
+            forces[self * 2] += (sepX * options.flockSeparation +
+                (velX / count - dot.vx) * options.flockAlignment +
+                (posX / count - dot.x) / radius * options.flockCohesion) * 0.05;
+            forces[self * 2 + 1] += (sepY * options.flockSeparation +
+                (velY / count - dot.vy) * options.flockAlignment +
+                (posY / count - dot.y) / radius * options.flockCohesion) * 0.05;
+        }
+    };
+
+    /**
+     * 'gravity' behavior: attraction between dots within behaviorRadius, by their size
+     * The softening keeps the pull finite when dots get very close
+     * @param {SpatialGrid} grid - Up-to-date neighbour grid
+     * @param {Float64Array} forces - Receives the x and y force of every dot
+     */
+    Simulation.prototype._gravity = function(grid, forces) {
+        const dots = this.dots;
+        const softeningSq = this.options.gravitySoftening * this.options.gravitySoftening;
+        let self, dot;
+
+        const pull = (index, distanceSq) => {
+            if (index === self) return;
+            const other = dots[index];
+            const mass = other.radius * other.radius;
+            const d = distanceSq + softeningSq;
+            const force = mass / (d * Math.sqrt(d)) * 0.5;
+            forces[self * 2] += (other.x - dot.x) * force;
+            forces[self * 2 + 1] += (other.y - dot.y) * force;
+        };
+
+        for (self = 0; self < dots.length; self++) {
+            dot = dots[self];
+            grid.forEachInRadius(dot.x, dot.y, this.options.behaviorRadius, pull);
+        }
+    };
+
+    /**
+     * Apply a shockwave ring to a single dot
+     * Only dots inside the ring band are affected, and the ring weakens as it expands
+     * @param {Object} wave - The shockwave object
+     * @param {Object} dot - The dot object
+     * @param {Number} deltaTime - Normalized time elapsed since last step
+     */
+    Simulation.prototype._applyShockwave = function(wave, dot, deltaTime) {
+        const dx = dot.x - wave.x;
+        const dy = dot.y - wave.y;
+        const band = wave.band;
+
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        const offset = distance - wave.radius; // Positive ahead of the ring, negative behind it
+        if (offset < -band || offset > band) return;
+
+        const falloff = (1 - Math.abs(offset) / band) * (1 - wave.radius / wave.maxRadius);
+        let push;
+        if (wave.effect === 'implode') {
+            push = -falloff;
+        } else if (wave.effect === 'ripple') {
+            // Leading edge pushes dots out, trailing edge pulls them back
+            push = falloff * (offset >= 0 ? 1 : -1);
+        } else {
+            push = falloff;
+        }
+
+        const force = push * wave.strength * deltaTime;
+        dot.vx += dx / distance * force;
+        dot.vy += dy / distance * force;
+    };
+
+    /**
+     * Get the neighbour grid, rebuilding it if dots moved since the last build
+     * Cells match connectionDistance when connections are drawn (so a 3x3 cell
+     * block covers every possible link), otherwise the neighbour radius of the
+     * 'flock' and 'gravity' behaviors, or else the pointer influence radius
+     * @return {SpatialGrid} The up-to-date grid
+     */
+    Simulation.prototype._getGrid = function() {
+        const options = this.options;
+        let cellSize = options.influenceRadius;
+        if (options.connections) {
+            cellSize = options.connectionDistance;
+        } else if (options.behavior === 'flock' || options.behavior === 'gravity') {
+            cellSize = options.behaviorRadius;
+        }
+
+        if (this.gridDirty || this.grid.items !== this.dots || this.grid.cellSize !== Math.max(cellSize, 20)) {
+            const buffer = this._getEdgeBuffer();
+            this.grid.rebuild(this.dots, -buffer, -buffer, this.width + buffer, this.height + buffer, Math.max(cellSize, 20));
+            this.gridDirty = false;
+        }
+        return this.grid;
+    };
+
+    /**
+     * Find all dots within a radius of a point
+     * @param {Number} x - X coordinate
+     * @param {Number} y - Y coordinate
+     * @param {Number} r - Radius in pixels
+     * @return {Array} Dots within the radius
+     */
+    Simulation.prototype.queryRadius = function(x, y, r) {
+        const result = [];
+        const dots = this.dots;
+        this._getGrid().forEachInRadius(x, y, r, (index) => {
+            result.push(dots[index]);
+        });
+        return result;
+    };
+
+    /**
+     * Emit a radial shockwave from a point
+     * @param {Number} x - X coordinate
+     * @param {Number} y - Y coordinate
+     * @param {Object} [opts] - Overrides for effect, strength, speed and radius
+     */
+    Simulation.prototype.burst = function(x, y, opts) {
+        opts = opts || {};
+        const effect = opts.effect || this.options.clickEffect;
+
+        this.shockwaves.push({
+            x: x,
+            y: y,
+            radius: 0,
+            band: 40, // Width of the ring band in pixels
+            effect: effect === 'none' ? 'burst' : effect,
+            strength: opts.strength !== undefined ? opts.strength : this.options.clickStrength,
+            speed: opts.speed !== undefined ? opts.speed : this.options.clickSpeed,
+            maxRadius: opts.radius !== undefined ? opts.radius : this.options.clickRadius
+        });
+    };
+
+    /**
+     * Assign formation targets to the dots
+     * Dots and targets are both sorted left to right, so dots mostly travel a
+     * short horizontal distance. Dots left over when there are more dots than
+     * targets keep moving freely.
+     * @param {Array} points - Target points as { x, y }
+     */
+    Simulation.prototype.setTargets = function(points) {
+        // Keep a random subset when there are more targets than dots
+        points = points.slice();
+        for (let i = points.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            const swap = points[i];
+            points[i] = points[j];
+            points[j] = swap;
+        }
+        points.length = Math.min(points.length, this.dots.length);
+
+        const byX = (a, b) => a.x - b.x;
+        const dots = this.dots.slice().sort(byX);
+        points.sort(byX);
+
+        // Spread the targeted dots over the whole (sorted) dot list
+        const stride = dots.length / Math.max(points.length, 1);
+        for (let i = 0; i < dots.length; i++) {
+            dots[i].target = null;
+        }
+        for (let i = 0; i < points.length; i++) {
+            dots[Math.floor(i * stride)].target = points[i];
+        }
+    };
+
+    /**
+     * Release the dots from their formation targets back into free motion
+     */
+    Simulation.prototype.release = function() {
+        for (let i = 0; i < this.dots.length; i++) {
+            const dot = this.dots[i];
+            if (!dot.target) continue;
+
+            // A small random kick dissolves the shape instead of leaving it frozen
+            dot.target = null;
+            dot.vx += (this.random() - 0.5) * 2;
+            dot.vy += (this.random() - 0.5) * 2;
+        }
+    };
+
+    /**
+     * Update options, recreating or recoloring the dots when needed
+     * @param {Object} options - New options
+     */
+    Simulation.prototype.setOptions = function(options) {
+        options = options || {};
+        this.options = mergeOptions(this.options, options);
+
+        // Restart the random sequence so the new seed reproduces the same scene
+        if (options.seed !== undefined) {
+            this.random = createRandom(this.options.seed);
+            this.noiseSeed = Math.floor(this.random() * 4294967296);
+            this.time = 0;
+            this._forcesOptions = null;
+        }
+
+        // Recreate dots if number changed, stretching was toggled, rotation settings or the seed changed
+        if (options.numDots !== undefined || options.seed !== undefined ||
+            options.dotStretch !== undefined ||
+            options.rotSmoothing !== undefined) {
+            this.createDots();
+            return;
+        }
+
+        if (options.dotColor !== undefined || options.dotColors !== undefined) {
+            // Reassign dot colors without resetting positions
+            for (let i = 0; i < this.dots.length; i++) {
+                this.dots[i].color = this.dots[i].baseColor = this._pickDotColor();
+            }
+        }
+
+        // Add or remove dots to match a new density
+        if (this.dotArea !== null && (options.dotDensity !== undefined ||
+            options.minDots !== undefined || options.maxDots !== undefined)) {
+            this._fitDotCount(this._getDotCount(), 0, 0);
+            this.gridDirty = true;
+        }
+
+        // Dots fade only in the 'fade' edge mode
+        if (options.edgeMode !== undefined && options.edgeMode !== 'fade') {
+            for (let i = 0; i < this.dots.length; i++) {
+                this.dots[i].alpha = this.dots[i].baseAlpha;
+            }
+        }
+
+        // Back to the palette colors, or recolor for the new color settings right away
+        if (options.colorMode === 'random') {
+            for (let i = 0; i < this.dots.length; i++) {
+                this.dots[i].color = this.dots[i].baseColor;
+            }
+        } else {
+            this._updateColors();
+        }
+    };
+
+    /**
+     * Get a copy of the simulation state
+     * @return {Object} { width, height, time, dots } with copies of the dots
+     */
+    Simulation.prototype.getState = function() {
+        return {
+            width: this.width,
+            height: this.height,
+            time: this.time,
+            dots: this.dots.map((dot) => Object.assign({}, dot))
+        };
+    };
+
+    // Options only used on the page, never posted to the worker renderer
+    const PAGE_OPTIONS = ['container', 'canvasLabel', 'reducedMotion', 'autoPause'];
+
+    /**
+     * Quality levels stepped through by adaptiveQuality, from full quality down
+     * stretch: stretched and rotated dots, shapes: dotShape (else circles),
+     * resolution: share of the device pixel ratio, dots: share of the dots
+     */
+    const QUALITY_LEVELS = [
+        { stretch: true, shapes: true, resolution: 1, dots: 1 },
+        { stretch: false, shapes: true, resolution: 1, dots: 1 },
+        { stretch: false, shapes: true, resolution: 0.75, dots: 1 },
+        { stretch: false, shapes: false, resolution: 0.75, dots: 0.75 },
+        { stretch: false, shapes: false, resolution: 0.5, dots: 0.5 }
+    ];
+
+    /**
+     * DotWave constructor
+     * Renders a Simulation to a canvas and feeds it pointer input
+     * @param {Object} options - Configuration options
+     */
+    function DotWave(options) {
+        // Default configuration
+        this.defaults = Object.assign({}, DEFAULTS);
+
+        // Dot physics live in the simulation, which also merges the options with the defaults
+        this.simulation = new Simulation(options);
+        this.simulation.host = this;
+        this.options = this.simulation.options;
+
+        // Initialize properties
+        this.canvas = null;
+        this.ctx = null;
+        this.glRenderer = null;
+        this.worker = null;
+        this.container = null;
+        this.pointers = {};
+        this._scheduled = false;
+        this.resizeTimeout = null;
+        this.lastFrameTime = 0;
+        this.dpr = 0;
+        this.dotImageEl = null;
+        this.dotImageReady = false;
+        this._dotImageSrc = null;
+        this._recording = null;
+        this.motionMode = 'full';
+        this._paused = false;
+        this._motionQuery = null;
+        this.autoPaused = false;
+        this._autoPauseReason = null;
+        this._pageHidden = false;
+        this._inView = true;
+        this._intersectionObserver = null;
+        this._workerRunning = true;
+        this._resizeObserver = null;
+        this._pixelRatioQuery = null;
+        this._listeners = {};
+        this._running = true;
+        this.fps = 0;
+        this._domListeners = [];
+        this._containerStyles = null;
+        this._colorCache = {};
+        this._quality = { level: 0, frames: 0, elapsed: 0, good: 0, probeAfter: 2, raised: false };
+        this._workerStats = null;
+
+        // Initialize the canvas
+        this.init();
+    }
+
+    // Simulation state, read and written through to the simulation
+    ['dots', 'width', 'height', 'time', 'random'].forEach((name) => {
+        Object.defineProperty(DotWave.prototype, name, {
+            get: function() {
+                return this.simulation[name];
+            },
+            set: function(value) {
+                this.simulation[name] = value;
+            }
+        });
+    });
+
+    /**
+     * Initialize the DotWave instance
+     */
+    DotWave.prototype.init = function() {
+        // Inside the worker renderer there is no DOM, only the transferred canvas
+        if (this._offscreen) {
+            this._initOffscreen(this._offscreen);
+            return;
+        }
+
+        // Get container element
+        this.container = this._getContainer(this.options.container);
+        if (!this.container) {
+            console.error('DotWave: Container element not found');
+            return;
+        }
+        
+        // Create canvas element
+        this.canvas = this._createCanvas();
+        
+        // Add canvas to container
+        this._setupContainer();
+        this.container.appendChild(this.canvas);
+
+        // Hand the canvas over to a worker if requested and supported
+        if (this.options.renderer === 'worker' && this._initWorker()) {
+            this._updateCanvasSize();
+            this._addEventListeners();
+            this._watchReducedMotion();
+            this._watchVisibility();
+            this._emitInit();
+            return;
+        }
+
+        this._initRenderer();
+        
+        // Add event listeners
+        this._addEventListeners();
+        
+        // Follow the reduced motion preference and the visibility, then start animation
+        this._watchReducedMotion();
+        this._watchVisibility();
+        this._syncLoop();
+        this._emitInit();
+    };
+
+    /**
+     * Set up drawing on the page and create the dots
+     */
+    DotWave.prototype._initRenderer = function() {
+        // Use the WebGL renderer if requested and supported, otherwise Canvas 2D
+        if (this.options.renderer !== 'webgl' || !this._initWebGL()) {
+            this.ctx = this.canvas.getContext('2d');
+        }
+        
+        // Set initial canvas size
+        this._updateCanvasSize();
+
+        // Start loading the dot image if one is configured
+        this._loadImage();
+
+        // Create dots
+        this.simulation.createDots();
+    };
+
+    /**
+     * Emit 'init' once the constructor has returned, so listeners added with on() right
+     * after creating the instance still receive it
+     */
+    DotWave.prototype._emitInit = function() {
+        Promise.resolve().then(() => {
+            if (this.canvas) this._emit('init', { width: this.width, height: this.height });
+        });
+    };
+    
+    /**
+     * Create the canvas element with its styles
+     * @return {HTMLCanvasElement} The canvas
+     */
+    DotWave.prototype._createCanvas = function() {
+        const canvas = document.createElement('canvas');
+
+        // Set canvas styles
+        canvas.style.position = 'absolute';
+        canvas.style.top = '0';
+        canvas.style.left = '0';
+        canvas.style.width = '100%';
+        canvas.style.height = '100%';
+        canvas.style.zIndex = this.options.zIndex;
+        canvas.style.pointerEvents = 'none'; // Allow clicks to pass through
+
+        this._applyAria(canvas);
+        return canvas;
+    };
+
+    /**
+     * Expose the canvas to assistive technology as an image when it has a label,
+     * otherwise hide it as decoration
+     * @param {HTMLCanvasElement} canvas - The canvas
+     */
+    DotWave.prototype._applyAria = function(canvas) {
+        if (this.options.canvasLabel) {
+            canvas.setAttribute('role', 'img');
+            canvas.setAttribute('aria-label', this.options.canvasLabel);
+            canvas.removeAttribute('aria-hidden');
+        } else {
+            canvas.setAttribute('aria-hidden', 'true');
+            canvas.removeAttribute('role');
+            canvas.removeAttribute('aria-label');
+        }
+    };
+
+    /**
+     * Follow the prefers-reduced-motion media query
+     */
+    DotWave.prototype._watchReducedMotion = function() {
+        this._handleMotionPreference = this._updateMotionMode.bind(this);
+        this._motionQuery = watchMedia('(prefers-reduced-motion: reduce)', this._handleMotionPreference);
+        this._updateMotionMode();
+    };
+
+    /**
+     * Pick the motion mode from the reduced motion preference and the reducedMotion option
+     */
+    DotWave.prototype._updateMotionMode = function() {
+        const reduce = this._motionQuery ? this._motionQuery.matches : false;
+        const behaviour = this.options.reducedMotion;
+
+        if (!reduce || behaviour === 'ignore') {
+            this._setMotionMode('full');
+        } else {
+            this._setMotionMode(behaviour === 'slow' ? 'slow' : 'static');
+        }
+    };
+
+    /**
+     * Switch the motion mode
+     * @param {String} mode - 'full', 'slow' (reduced speeds) or 'static' (a single still frame)
+     */
+    DotWave.prototype._setMotionMode = function(mode) {
+        if (mode === this.motionMode) return;
+        this.motionMode = mode;
+
+        if (this.worker) {
+            this._postToWorker('motionMode', { mode: mode });
+        }
+        this._syncLoop('reducedMotion');
+        this._drawStill();
+
+        this._emit('motionModeChange', { mode: mode });
+    };
+
+    /**
+     * Pause automatically while the container is out of view or the page is hidden
+     */
+    DotWave.prototype._watchVisibility = function() {
+        this._pageHidden = document.hidden === true;
+        this._listen(document, 'visibilitychange', () => {
+            this._pageHidden = document.hidden === true;
+            this._updateAutoPause();
+        });
+
+        if (typeof IntersectionObserver !== 'undefined') {
+            this._intersectionObserver = new IntersectionObserver((entries) => {
+                this._inView = entries[entries.length - 1].isIntersecting;
+                this._updateAutoPause();
+            });
+            this._intersectionObserver.observe(this.container);
+        }
+
+        this._updateAutoPause();
+    };
+
+    /**
+     * Pause or resume automatically depending on the visibility and the autoPause option
+     */
+    DotWave.prototype._updateAutoPause = function() {
+        let reason = null;
+        if (this.options.autoPause) {
+            if (this._pageHidden) {
+                reason = 'hidden';
+            } else if (!this._inView) {
+                reason = 'offscreen';
+            }
+        }
+
+        const autoPaused = reason !== null;
+        if (autoPaused === this.autoPaused) return;
+        const previous = this._autoPauseReason;
+        this.autoPaused = autoPaused;
+        this._autoPauseReason = reason;
+
+        this._syncLoop(autoPaused ? reason : previous);
+    };
+
+    /**
+     * Start or stop the animation loop to match pause(), autoPause and the motion mode
+     * The frame timer restarts with the loop, so dots don't jump after a pause
+     * @param {String} [reason] - What changed, reported with the 'pause' and 'resume' events:
+     *     'user', 'hidden', 'offscreen' or 'reducedMotion'
+     */
+    DotWave.prototype._syncLoop = function(reason) {
+        if (!this.canvas) return;
+
+        const active = !this._paused && !this.autoPaused;
+        const running = active && this.motionMode !== 'static';
+
+        if (this.worker) {
+            // The worker runs its own loop and handles the motion mode itself
+            if (active !== this._workerRunning) {
+                this._workerRunning = active;
+                this._postToWorker(active ? 'resume' : 'pause');
+            }
+        } else if (running) {
+            if (!this._scheduled) {
+                this._scheduled = true;
+                this.lastFrameTime = performance.now();
+                DotWave.scheduler.add(this);
+            }
+        } else if (this._scheduled) {
+            this._scheduled = false;
+            DotWave.scheduler.remove(this);
+        }
+
+        if (running !== this._running) {
+            this._running = running;
+            this._emit(running ? 'resume' : 'pause', { reason: reason || 'user' });
+        }
+    };
+
+    /**
+     * Redraw the current state without moving the dots while the motion mode is 'static'
+     * Keeps the still frame up to date after resizes, option changes and image loads
+     */
+    DotWave.prototype._drawStill = function() {
+        if (this.motionMode !== 'static' || this.worker || !this.canvas) return;
+
+        if (this.glRenderer) {
+            this._renderWebGL([], 0);
+        } else if (this.ctx) {
+            this._drawFrame([], 0);
+        }
+    };
+
+    /**
+     * Listen to an event
+     * @param {String} name - Event name, one of DotWave.events
+     * @param {Function} listener - Called with the event data, with this set to the instance
+     * @return {DotWave} The instance, for chaining
+     */
+    DotWave.prototype.on = function(name, listener) {
+        if (!this._listeners[name]) {
+            this._listeners[name] = [];
+        }
+        this._listeners[name].push(listener);
+        return this;
+    };
+
+    /**
+     * Stop listening to an event
+     * @param {String} name - Event name
+     * @param {Function} [listener] - Listener to remove, all listeners of the event if omitted
+     * @return {DotWave} The instance, for chaining
+     */
+    DotWave.prototype.off = function(name, listener) {
+        const listeners = this._listeners[name];
+        if (!listeners) return this;
+
+        if (listener) {
+            // once() wraps the listener, so match the wrapped one too
+            this._listeners[name] = listeners.filter((l) => l !== listener && l._listener !== listener);
+        } else {
+            delete this._listeners[name];
+        }
+        return this;
+    };
+
+    /**
+     * Listen to the next occurrence of an event only
+     * @param {String} name - Event name
+     * @param {Function} listener - Called with the event data
+     * @return {DotWave} The instance, for chaining
+     */
+    DotWave.prototype.once = function(name, listener) {
+        const wrapper = function(data) {
+            this.off(name, wrapper);
+            listener.call(this, data);
+        };
+        wrapper._listener = listener;
+        return this.on(name, wrapper);
+    };
+
+    /**
+     * Call the listeners of an event
+     * @param {String} name - Event name
+     * @param {Object} [data] - Event data
+     */
+    DotWave.prototype._emit = function(name, data) {
+        const listeners = this._listeners[name];
+        if (!listeners) return;
+
+        // Copy, so listeners can remove themselves while the event is emitted
+        const current = listeners.slice();
+        for (let i = 0; i < current.length; i++) {
+            current[i].call(this, data);
+        }
+    };
+
+    /**
+     * Start the WebGL renderer
+     * Returns false (keeping Canvas 2D) when WebGL or instancing is unavailable,
+     * or when dotShape is a custom function, which only Canvas 2D can draw
+     * @return {Boolean} Whether the WebGL renderer was started
+     */
+    DotWave.prototype._initWebGL = function() {
+        if (typeof this.options.dotShape === 'function') return false;
+
+        const attributes = { alpha: true, premultipliedAlpha: true, antialias: false };
+        const gl = this.canvas.getContext('webgl2', attributes) || this.canvas.getContext('webgl', attributes);
+        if (!gl) return false;
+
+        try {
+            this.glRenderer = new WebGLRenderer(gl, (color) => this._parseColor(color));
+            return true;
+        } catch (error) {
+            console.warn('DotWave: Could not start the WebGL renderer, falling back to canvas', error);
+
+            // A canvas with a WebGL context can't provide a 2D one anymore
+            const canvas = this._createCanvas();
+            this.container.replaceChild(canvas, this.canvas);
+            this.canvas = canvas;
+            return false;
+        }
+    };
+
+    /**
+     * Start the worker renderer
+     * Transfers the canvas to a worker running this same script. Returns false
+     * (keeping the in-thread renderer) when OffscreenCanvas or workers are
+     * unavailable, the script URL is unknown, or an option can't be sent to the worker.
+     * @return {Boolean} Whether the worker renderer was started
+     */
+    DotWave.prototype._initWorker = function() {
+        const url = this.options.workerUrl || scriptUrl;
+        if (!url || typeof Worker === 'undefined' ||
+            typeof this.canvas.transferControlToOffscreen !== 'function' ||
+            typeof this.options.dotShape === 'function' || this._hasCustomForces()) {
+            return false;
+        }
+
+        let worker;
+        try {
+            worker = new Worker(url);
+        } catch (error) {
+            console.warn('DotWave: Could not start the worker renderer, falling back to canvas', error);
+            return false;
+        }
+
+        const offscreen = this.canvas.transferControlToOffscreen();
+        const rect = this.container.getBoundingClientRect();
+        this.worker = worker;
+        this.simulation.resize(rect.width, rect.height);
+
+        worker.postMessage({
+            type: 'init',
+            canvas: offscreen,
+            options: this._getWorkerOptions(this.options),
+            width: this.width,
+            height: this.height,
+            dpr: window.devicePixelRatio || 1
+        }, [offscreen]);
+        DotWave.scheduler.addWorker(worker);
+
+        // The worker reports its stats about once per second, see getStats()
+        worker.onmessage = (e) => {
+            if (e.data.type === 'stats') this._workerStats = e.data.stats;
+        };
+
+        // The script can still fail to load or run inside the worker
+        worker.onerror = (error) => {
+            if (this.worker !== worker) return;
+            console.warn('DotWave: The worker renderer failed, falling back to canvas', error.message);
+            this._leaveWorker();
+        };
+
+        return true;
+    };
+
+    /**
+     * Stop the worker renderer and continue in this thread
+     * The transferred canvas can't be drawn on anymore, so it is replaced with a new one
+     */
+    DotWave.prototype._leaveWorker = function() {
+        DotWave.scheduler.removeWorker(this.worker);
+        this.worker.terminate();
+        this.worker = null;
+        this._workerStats = null;
+        this._workerRunning = true;
+
+        const canvas = this._createCanvas();
+        this.container.replaceChild(canvas, this.canvas);
+        this.canvas = canvas;
+
+        // Measure again, the old size only went to the worker
+        this.dpr = 0;
+        this._initRenderer();
+        this._syncLoop();
+        this._drawStill();
+    };
+
+    /**
+     * Whether the forces option contains anything a worker can't run
+     * Only the built-in forces are registered inside the worker
+     * @return {Boolean}
+     */
+    DotWave.prototype._hasCustomForces = function() {
+        const forces = this.options.forces;
+        if (!Array.isArray(forces)) return false;
+
+        return forces.some((entry) => {
+            const type = entry && typeof entry === 'object' ? entry.type : entry;
+            return builtinForces.indexOf(type) === -1;
+        });
+    };
+
+    /**
+     * Prepare options to be posted to the worker renderer
+     * Drops the page-only options and resolves the dot image URL against the page,
+     * since the worker resolves relative URLs against the script instead
+     * @param {Object} options - Options to send
+     * @return {Object} Cloneable options
+     */
+    DotWave.prototype._getWorkerOptions = function(options) {
+        const result = {};
+        for (const key in options) {
+            if (PAGE_OPTIONS.indexOf(key) !== -1 || typeof options[key] === 'function') continue;
+            result[key] = options[key];
+        }
+        if (Array.isArray(result.forces)) {
+            result.forces = result.forces.filter((entry) => {
+                const type = entry && typeof entry === 'object' ? entry.type : entry;
+                return builtinForces.indexOf(type) !== -1;
+            });
+        }
+        if (result.dotImage) {
+            result.dotImage = new URL(result.dotImage, document.baseURI).href;
+        }
+
+        // The worker has no DOM to resolve CSS variables and currentColor, so resolve them here
+        const resolve = (color) => typeof color !== 'string' || parseColor(color) ? color :
+            formatColor(this._parseColor(color));
+        ['dotColor', 'backgroundColor', 'connectionColor'].forEach((key) => {
+            if (result[key]) result[key] = resolve(result[key]);
+        });
+        ['dotColors', 'colorStops'].forEach((key) => {
+            if (Array.isArray(result[key])) result[key] = result[key].map(resolve);
+        });
+        return result;
+    };
+
+    /**
+     * Initialize inside the worker renderer using a transferred OffscreenCanvas
+     * @param {Object} data - The worker init message
+     */
+    DotWave.prototype._initOffscreen = function(data) {
+        this.canvas = data.canvas;
+        this.ctx = this.canvas.getContext('2d');
+
+        this._resize(data.width, data.height, data.dpr);
+        this._loadImage();
+        this.simulation.createDots();
+
+        this._syncLoop();
+    };
+
+    /**
+     * Send a message to the worker renderer
+     * @param {String} type - Message type
+     * @param {Object} [data] - Message payload
+     */
+    DotWave.prototype._postToWorker = function(type, data) {
+        const message = data || {};
+        message.type = type;
+        this.worker.postMessage(message);
+    };
+
+    /**
+     * Set up the container element for the canvas
+     */
+    DotWave.prototype._setupContainer = function() {
+        // Remember the inline styles changed below, so they can be restored on destroy
+        this._containerStyles = {
+            position: this.container.style.position,
+            touchAction: this.container.style.touchAction,
+            bodyBackground: document.body.style.backgroundColor
+        };
+
+        // Only modify position if it's static
+        const containerStyle = window.getComputedStyle(this.container);
+        if (containerStyle.position === 'static') {
+            this.container.style.position = 'relative';
+        }
+        
+        // Set background color if specified and container is body
+        if (this.options.backgroundColor && this.container === document.body) {
+            document.body.style.backgroundColor = this.options.backgroundColor;
+        }
+    };
+    
+    /**
+     * Get container DOM element from selector or element
+     * @param {String|Element} container - Container selector or DOM element
+     * @return {Element} The container element
+     */
+    DotWave.prototype._getContainer = function(container) {
+        if (typeof container === 'string') {
+            return document.querySelector(container);
+        } else if (container instanceof Element) {
+            return container;
+        } else if (container === document.body) {
+            return document.body;
+        }
+        return null;
+    };
+    
+    /**
+     * Update canvas size to match container
+     */
+    DotWave.prototype._updateCanvasSize = function() {
+        // A resize can still be queued when the instance is destroyed
+        if (!this.canvas) return;
+
+        const rect = this.container.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+
+        // Nothing to do if neither the size nor the pixel ratio changed
+        if (rect.width === this.width && rect.height === this.height && dpr === this.dpr) return;
+        this.dpr = dpr;
+
+        // The worker owns the canvas, so only keep the size in sync and forward it
+        if (this.worker) {
+            this.simulation.resize(rect.width, rect.height);
+            this._postToWorker('resize', { width: rect.width, height: rect.height, dpr: dpr });
+        } else {
+            this._resize(rect.width, rect.height, dpr);
+        }
+
+        this._emit('resize', { width: this.width, height: this.height, dpr: dpr });
+    };
+
+    /**
+     * Resize the canvas and redistribute dots
+     * @param {Number} newWidth - New width in CSS pixels
+     * @param {Number} newHeight - New height in CSS pixels
+     * @param {Number} dpr - Device pixel ratio
+     */
+    DotWave.prototype._resize = function(newWidth, newHeight, dpr) {
+        // Redistribute dots proportionally to the new canvas size
+        this.simulation.resize(newWidth, newHeight);
+        this.dpr = dpr;
+
+        // Set canvas size (with device pixel ratio for retina displays, lowered by adaptiveQuality)
+        const scale = dpr * QUALITY_LEVELS[this._quality.level].resolution;
+        this.canvas.width = this.width * scale;
+        this.canvas.height = this.height * scale;
+        if (this.glRenderer) {
+            this.glRenderer.resize(this.width, this.height, scale);
+        } else {
+            this.ctx.scale(scale, scale);
+        }
+
+        // Resizing clears the canvas
+        this._drawStill();
+    };
+    
+    /**
+     * Load the dot image when dotShape is 'image'
+     * Dots are drawn as regular circles until the image finishes loading
+     */
+    DotWave.prototype._loadImage = function() {
+        const src = this.options.dotShape === 'image' ? this.options.dotImage : null;
+
+        if (!src) {
+            this._dotImageSrc = null;
+            this.dotImageEl = null;
+            this.dotImageReady = false;
+            return;
+        }
+
+        // Skip reload if the same image is already loading or loaded
+        if (this._dotImageSrc === src) return;
+
+        this._dotImageSrc = src;
+        this.dotImageReady = false;
+
+        // Workers have no Image element, decode into an ImageBitmap instead
+        if (typeof Image === 'undefined') {
+            fetch(src)
+                .then((response) => response.blob())
+                .then((blob) => createImageBitmap(blob))
+                .then((bitmap) => {
+                    if (this._dotImageSrc === src) {
+                        this.dotImageEl = bitmap;
+                        this.dotImageReady = true;
+                        this._drawStill();
+                        this._emit('imageLoad', { src: src, image: bitmap });
+                    }
+                })
+                .catch((error) => {
+                    console.error('DotWave: Failed to load dot image: ' + src);
+                    this._emit('imageError', { src: src, error: error });
+                });
+            return;
+        }
+
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => {
+            // Ignore stale loads if the image was changed in the meantime
+            if (this._dotImageSrc === src) {
+                this.dotImageEl = img;
+                this.dotImageReady = true;
+                this._drawStill();
+                this._emit('imageLoad', { src: src, image: img });
+            }
+        };
+        img.onerror = (error) => {
+            console.error('DotWave: Failed to load dot image: ' + src);
+            this._emit('imageError', { src: src, error: error });
+        };
+        img.src = src;
+    };
+
+    /**
+     * Add event listeners for pointer input and window resize
+     */
+    DotWave.prototype._addEventListeners = function() {
+        const passive = { passive: true };
+
+        // Pointer listeners cover mouse, pen and touch input
+        this._listen(this.container, 'pointerenter', this._handlePointerEnter.bind(this));
+        this._listen(this.container, 'pointermove', this._handlePointerMove.bind(this));
+        this._listen(this.container, 'pointerdown', this._handlePointerDown.bind(this));
+        this._listen(this.container, 'pointerup', this._handlePointerEnd.bind(this));
+        this._listen(this.container, 'pointercancel', this._handlePointerEnd.bind(this));
+        this._listen(this.container, 'pointerleave', this._handlePointerLeave.bind(this));
+
+        // Passive touch listeners keep reporting finger drags while the page scrolls
+        // (pointer events are cancelled as soon as the browser starts scrolling)
+        this._listen(this.container, 'touchstart', this._handleTouch.bind(this), passive);
+        this._listen(this.container, 'touchmove', this._handleTouch.bind(this), passive);
+        this._listen(this.container, 'touchend', this._handleTouchEnd.bind(this), passive);
+        this._listen(this.container, 'touchcancel', this._handleTouchEnd.bind(this), passive);
+
+        this._applyTouchAction();
+
+        // Click / tap shockwaves
+        this._listen(this.container, 'click', this._handleClick.bind(this));
+
+        // Follow the size of the container itself, or window resizes without ResizeObserver
+        if (typeof ResizeObserver !== 'undefined') {
+            this._resizeObserver = new ResizeObserver(() => this._updateCanvasSize());
+            this._resizeObserver.observe(this.container);
+        } else {
+            this._listen(window, 'resize', this._handleResize.bind(this));
+        }
+
+        // Moving to a monitor with another pixel ratio or zooming the page
+        this._handlePixelRatioChange = () => {
+            this._watchPixelRatio();
+            this._updateCanvasSize();
+        };
+        this._watchPixelRatio();
+    };
+
+    /**
+     * Add a DOM event listener that is removed again when the instance is torn down
+     * @param {EventTarget} target - Element, document or window
+     * @param {String} type - Event type
+     * @param {Function} handler - Listener
+     * @param {Object} [options] - addEventListener options
+     */
+    DotWave.prototype._listen = function(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this._domListeners.push({ target: target, type: type, handler: handler, options: options });
+    };
+
+    /**
+     * Listen for the device pixel ratio to change from its current value
+     * The media query only matches the current ratio, so it is replaced after every change
+     */
+    DotWave.prototype._watchPixelRatio = function() {
+        unwatchMedia(this._pixelRatioQuery, this._handlePixelRatioChange);
+        const dpr = window.devicePixelRatio || 1;
+        this._pixelRatioQuery = watchMedia('(resolution: ' + dpr + 'dppx)', this._handlePixelRatioChange);
+    };
+
+    /**
+     * Block native touch panning over the container when touch input should be
+     * handled by pointer events only (touchScroll disabled)
+     */
+    DotWave.prototype._applyTouchAction = function() {
+        const blockScroll = this.options.reactive && !this.options.touchScroll;
+        this.container.style.touchAction = blockScroll ? 'none' : '';
+    };
+
+    /**
+     * Whether a pointer event should be handled by the pointer handlers
+     * Touches are left to the touch handlers while touchScroll is enabled
+     * @param {PointerEvent} e - Pointer event
+     * @return {Boolean}
+     */
+    DotWave.prototype._isTrackedPointer = function(e) {
+        return !(e.pointerType === 'touch' && this.options.touchScroll);
+    };
+
+    /**
+     * Move a pointer to a new position and update its speed
+     * Pointers are created on their first move, starting with zero speed
+     * @param {String|Number} id - Pointer id
+     * @param {Number} clientX - Viewport X coordinate
+     * @param {Number} clientY - Viewport Y coordinate
+     */
+    DotWave.prototype._movePointer = function(id, clientX, clientY) {
+        const rect = this.container.getBoundingClientRect();
+        const x = clientX - rect.left;
+        const y = clientY - rect.top;
+
+        let pointer = this.pointers[id];
+        if (!pointer) {
+            pointer = this.pointers[id] = { x: x, y: y, speedX: 0, speedY: 0 };
+        }
+
+        // Calculate raw pointer speed
+        const rawSpeedX = x - pointer.x;
+        const rawSpeedY = y - pointer.y;
+        pointer.x = x;
+        pointer.y = y;
+
+        // Limit maximum pointer speed to prevent jumps
+        const rawSpeed = Math.sqrt(rawSpeedX * rawSpeedX + rawSpeedY * rawSpeedY);
+        if (rawSpeed > this.options.maxMouseSpeed) {
+            const scale = this.options.maxMouseSpeed / rawSpeed;
+            pointer.speedX = rawSpeedX * scale;
+            pointer.speedY = rawSpeedY * scale;
+        } else {
+            pointer.speedX = rawSpeedX;
+            pointer.speedY = rawSpeedY;
+        }
+
+        if (this.worker) {
+            this._postToWorker('pointer', { id: id, pointer: pointer });
+        }
+    };
+
+    /**
+     * Stop tracking a pointer
+     * @param {String|Number} id - Pointer id
+     */
+    DotWave.prototype._removePointer = function(id) {
+        if (!this.pointers[id]) return;
+        delete this.pointers[id];
+
+        if (this.worker) {
+            this._postToWorker('pointer', { id: id, pointer: null });
+        }
+    };
+
+    /**
+     * Handle a hovering pointer (mouse or pen) entering the container
+     * @param {PointerEvent} e - Pointer event
+     */
+    DotWave.prototype._handlePointerEnter = function(e) {
+        if (e.pointerType === 'touch') return;
+        this._movePointer(e.pointerId, e.clientX, e.clientY);
+    };
+
+    /**
+     * Handle pointer movement
+     * @param {PointerEvent} e - Pointer event
+     */
+    DotWave.prototype._handlePointerMove = function(e) {
+        if (!this._isTrackedPointer(e)) return;
+        this._movePointer(e.pointerId, e.clientX, e.clientY);
+    };
+
+    /**
+     * Handle a pointer going down (finger or pen touching the screen)
+     * @param {PointerEvent} e - Pointer event
+     */
+    DotWave.prototype._handlePointerDown = function(e) {
+        if (!this._isTrackedPointer(e)) return;
+        this._movePointer(e.pointerId, e.clientX, e.clientY);
+    };
+
+    /**
+     * Handle a pointer being lifted or cancelled
+     * A lifted mouse keeps hovering, so only non-mouse pointers are removed
+     * @param {PointerEvent} e - Pointer event
+     */
+    DotWave.prototype._handlePointerEnd = function(e) {
+        if (e.pointerType === 'mouse') return;
+        this._removePointer(e.pointerId);
+    };
+
+    /**
+     * Handle a pointer leaving the container
+     * @param {PointerEvent} e - Pointer event
+     */
+    DotWave.prototype._handlePointerLeave = function(e) {
+        this._removePointer(e.pointerId);
+    };
+
+    /**
+     * Handle touch start/move while touchScroll is enabled
+     * Every changed touch becomes its own influence point
+     * @param {TouchEvent} e - Touch event
+     */
+    DotWave.prototype._handleTouch = function(e) {
+        if (!this.options.touchScroll) return;
+
+        for (let i = 0; i < e.changedTouches.length; i++) {
+            const touch = e.changedTouches[i];
+            this._movePointer('touch' + touch.identifier, touch.clientX, touch.clientY);
+        }
+    };
+
+    /**
+     * Handle touch end/cancel while touchScroll is enabled
+     * @param {TouchEvent} e - Touch event
+     */
+    DotWave.prototype._handleTouchEnd = function(e) {
+        for (let i = 0; i < e.changedTouches.length; i++) {
+            this._removePointer('touch' + e.changedTouches[i].identifier);
+        }
+    };
+    
+    /**
+     * Handle click or tap on the container
+     * @param {MouseEvent} e - Click event
+     */
+    DotWave.prototype._handleClick = function(e) {
+        if (!this.options.reactive || this.options.clickEffect === 'none') return;
+
+        const rect = this.container.getBoundingClientRect();
+        this.burst(e.clientX - rect.left, e.clientY - rect.top);
+    };
+
+    /**
+     * Handle window resize with debounce
+     */
+    DotWave.prototype._handleResize = function() {
+        clearTimeout(this.resizeTimeout);
+        this.resizeTimeout = setTimeout(() => {
+            this._updateCanvasSize();
+        }, 250);
+    };
+    
+    /**
+     * Smooth angle interpolation with proper wrapping
+     * @param {Number} current - Current angle
+     * @param {Number} target - Target angle
+     * @param {Number} factor - Interpolation factor (0-1)
+     * @return {Number} New interpolated angle
+     */
+    DotWave.prototype._lerpAngle = function(current, target, factor) {
         // Calculate the shortest angular distance
         let diff = target - current;
         
@@ -396,431 +3443,1271 @@
     };
     
     /**
-     * Draw a dot (stretched or regular based on options and velocity)
+     * Draw a dot (stretched or regular based on options and velocity)
+     * @param {Object} dot - The dot object
+     * @param {Number} deltaTime - Time elapsed since last frame
+     */
+    DotWave.prototype._drawDot = function(dot, deltaTime) {
+        const shape = this._getShape();
+        const stretchAmount = this._updateStretch(dot, deltaTime);
+
+        // Image dots are drawn separately
+        if (shape === 'image') {
+            this._drawImageDot(dot, stretchAmount);
+            return;
+        }
+
+        const fillStyle = this._getDotFill(dot);
+
+        // Fast path: default circle without stretch
+        if (stretchAmount === 0 && shape === 'circle') {
+            this.ctx.beginPath();
+            this.ctx.arc(dot.x, dot.y, dot.radius, 0, Math.PI * 2);
+            this.ctx.fillStyle = fillStyle;
+            this.ctx.fill();
+            return;
+        }
+
+        // Transformed path: rotate towards velocity and stretch along the movement axis
+        this.ctx.save();
+        this.ctx.translate(dot.x, dot.y);
+        if (stretchAmount > 0) {
+            this.ctx.rotate(dot.currentAngle);
+            this.ctx.scale((dot.radius + stretchAmount) / dot.radius, 1);
+        }
+
+        this.ctx.beginPath();
+        this._traceShape(shape, dot.radius);
+        this.ctx.fillStyle = fillStyle;
+        this.ctx.fill();
+
+        this.ctx.restore();
+    };
+
+    /**
+     * Calculate the stretch amount of a dot and update its rotation
+     * @param {Object} dot - The dot object
+     * @param {Number} deltaTime - Time elapsed since last frame
+     * @return {Number} Stretch amount along the movement axis (0 when not stretched)
+     */
+    DotWave.prototype._updateStretch = function(dot, deltaTime) {
+        // Calculate stretch amount and rotation when stretching is enabled
+        let stretchAmount = 0;
+        if (this.options.dotStretch && QUALITY_LEVELS[this._quality.level].stretch) {
+            const vxSq = dot.vx * dot.vx;
+            const vySq = dot.vy * dot.vy;
+            const speed = Math.sqrt(vxSq + vySq);
+
+            // Calculate stretch amount proportional to speed
+            const normalizedSpeed = Math.min(speed / this.options.maxSpeed, 1);
+            stretchAmount = normalizedSpeed * this.options.dotStretchMult;
+
+            // Apply maximum stretch limit if defined
+            if (this.options.dotMaxStretch) {
+                stretchAmount = Math.min(stretchAmount, this.options.dotMaxStretch);
+            }
+
+            if (stretchAmount < 0.01) {
+                // No significant stretch, skip rotation handling
+                stretchAmount = 0;
+            } else {
+                // Calculate target angle based on velocity
+                const targetAngle = Math.atan2(dot.vy, dot.vx);
+
+                // Handle rotation based on rotSmoothing setting
+                if (this.options.rotSmoothing) {
+                    // Smooth rotation: interpolate towards target
+                    dot.targetAngle = targetAngle;
+
+                    // Calculate rotation lerp factor based on deltaTime and rotSmoothingIntensity
+                    const rotationFactor = this.options.rotSmoothingIntensity <= 0 ?
+                        1 : Math.min(deltaTime / this.options.rotSmoothingIntensity, 1);
+
+                    // Smoothly interpolate current angle towards target
+                    dot.currentAngle = this._lerpAngle(dot.currentAngle, dot.targetAngle, rotationFactor);
+                } else {
+                    // Instant rotation: directly set angle
+                    dot.currentAngle = targetAngle;
+                }
+            }
+        }
+
+        return stretchAmount;
+    };
+
+    /**
+     * Trace the path of a dot shape centered at the origin
+     * @param {String|Function} shape - Shape name or custom draw function
+     * @param {Number} r - Dot radius
+     */
+    DotWave.prototype._traceShape = function(shape, r) {
+        const ctx = this.ctx;
+
+        // Custom shapes: a function that traces a path centered at (0, 0)
+        if (typeof shape === 'function') {
+            shape(ctx, r);
+            return;
+        }
+
+        switch (shape) {
+            case 'square':
+                ctx.rect(-r, -r, r * 2, r * 2);
+                break;
+            case 'triangle':
+                // Equilateral triangle pointing in the direction of travel
+                ctx.moveTo(r, 0);
+                ctx.lineTo(-r * 0.5, r * 0.866);
+                ctx.lineTo(-r * 0.5, -r * 0.866);
+                ctx.closePath();
+                break;
+            case 'star': {
+                // Five-pointed star
+                const innerR = r * 0.45;
+                let rot = -Math.PI / 2;
+                const step = Math.PI / 5;
+                ctx.moveTo(Math.cos(rot) * r, Math.sin(rot) * r);
+                for (let i = 0; i < 5; i++) {
+                    rot += step;
+                    ctx.lineTo(Math.cos(rot) * innerR, Math.sin(rot) * innerR);
+                    rot += step;
+                    ctx.lineTo(Math.cos(rot) * r, Math.sin(rot) * r);
+                }
+                ctx.closePath();
+                break;
+            }
+            default:
+                ctx.arc(0, 0, r, 0, Math.PI * 2);
+        }
+    };
+
+    /**
+     * Draw a dot using the configured image
+     * Falls back to a circle while the image is loading
+     * @param {Object} dot - The dot object
+     * @param {Number} stretchAmount - Stretch amount along the movement axis
+     */
+    DotWave.prototype._drawImageDot = function(dot, stretchAmount) {
+        if (!this.dotImageReady) {
+            this.ctx.beginPath();
+            this.ctx.arc(dot.x, dot.y, dot.radius, 0, Math.PI * 2);
+            this.ctx.fillStyle = this._getDotFill(dot);
+            this.ctx.fill();
+            return;
+        }
+
+        const img = this.dotImageEl;
+
+        // Scale the image so its larger side matches the dot diameter,
+        // preserving the image aspect ratio
+        const size = dot.radius * 2;
+        const ratio = (img.naturalWidth || img.width) / (img.naturalHeight || img.height);
+        let w, h;
+        if (ratio >= 1) {
+            w = size;
+            h = size / ratio;
+        } else {
+            h = size;
+            w = size * ratio;
+        }
+
+        this.ctx.save();
+        this.ctx.globalAlpha = dot.alpha;
+        this.ctx.translate(dot.x, dot.y);
+        if (stretchAmount > 0) {
+            this.ctx.rotate(dot.currentAngle);
+            this.ctx.scale((dot.radius + stretchAmount) / dot.radius, 1);
+        }
+        this.ctx.drawImage(img, -w / 2, -h / 2, w, h);
+        this.ctx.restore();
+    };
+    
+    /**
+     * Move and draw one frame, called by the shared scheduler
+     * @param {Number} currentTime - Frame time from performance.now()
+     */
+    DotWave.prototype._animate = function(currentTime) {
+        const elapsed = currentTime - this.lastFrameTime;
+        const deltaTimeMs = Math.min(elapsed, 32); // Cap at ~30fps minimum
+        this.lastFrameTime = currentTime;
+
+        // Fixed steps catch up on the whole gap themselves, up to maxSubSteps
+        const physicsMs = this.options.fixedTimestep > 0 ? elapsed : deltaTimeMs;
+
+        // Smoothed frame rate, from the uncapped frame time
+        if (elapsed > 0) {
+            this.fps = this.fps ? this.fps * 0.9 + (1000 / elapsed) * 0.1 : 1000 / elapsed;
+            this._sampleFrameTime(elapsed);
+        }
+        
+        // Collect active pointers only if reactive mode is enabled
+        const pointers = [];
+        if (this.options.reactive) {
+            for (const id in this.pointers) {
+                pointers.push(this.pointers[id]);
+            }
+        }
+
+        // Move the dots, at a reduced speed in the 'slow' motion mode
+        const timeScale = this.motionMode === 'slow' ? 0.3 : 1;
+        const alpha = this.simulation.advance(physicsMs * timeScale, { pointers: pointers });
+
+        this._drawInterpolated(alpha, () => {
+            if (this.glRenderer) {
+                this._renderWebGL(pointers, deltaTimeMs);
+            } else {
+                this._drawFrame(pointers, deltaTimeMs);
+            }
+        });
+
+        // Skip building the event data on every frame when nobody listens
+        const listeners = this._listeners.frame;
+        if (listeners && listeners.length > 0) {
+            this._emit('frame', {
+                delta: deltaTimeMs,
+                time: this.time,
+                stats: this.getStats()
+            });
+        }
+    };
+
+    /**
+     * Draw with the dots interpolated between the last two fixed steps
+     * @param {Number} alpha - Position between the previous (0) and current step (1)
+     * @param {Function} draw - Draws the frame
+     */
+    DotWave.prototype._drawInterpolated = function(alpha, draw) {
+        if (!(this.options.fixedTimestep > 0) || alpha === 1) {
+            draw();
+            return;
+        }
+
+        this.simulation.interpolate(alpha);
+        try {
+            draw();
+        } finally {
+            this.simulation.restorePositions();
+        }
+    };
+
+    /**
+     * Collect frame times into one second windows for adaptiveQuality
+     * Inside the worker renderer each window also reports the stats to the page
+     * @param {Number} elapsed - Time since the previous frame in milliseconds
+     */
+    DotWave.prototype._sampleFrameTime = function(elapsed) {
+        // Long gaps come from pauses and background tabs, not from slow frames
+        if (elapsed > 250) return;
+
+        const quality = this._quality;
+        quality.frames++;
+        quality.elapsed += elapsed;
+        if (quality.elapsed < 1000) return;
+
+        const fps = quality.frames * 1000 / quality.elapsed;
+        quality.frames = 0;
+        quality.elapsed = 0;
+
+        if (this.options.adaptiveQuality) {
+            this._adaptQuality(fps);
+        }
+        if (this._offscreen) {
+            global.postMessage({ type: 'stats', stats: this.getStats() });
+        }
+    };
+
+    /**
+     * Step the quality down when a window ran below minFps, and back up after enough good windows
+     * A raise that is followed by a drop right away doubles the wait before the next raise
+     * @param {Number} fps - Frame rate of the last window
+     */
+    DotWave.prototype._adaptQuality = function(fps) {
+        const quality = this._quality;
+        const maxFps = DotWave.scheduler.maxFps;
+        const minFps = maxFps > 0 ? Math.min(this.options.minFps, maxFps * 0.9) : this.options.minFps;
+
+        if (fps < minFps) {
+            quality.good = 0;
+            if (quality.raised) {
+                quality.probeAfter = Math.min(quality.probeAfter * 2, 60);
+            }
+            quality.raised = false;
+            if (quality.level < QUALITY_LEVELS.length - 1) {
+                this._setQuality(quality.level + 1);
+            }
+            return;
+        }
+
+        quality.raised = false;
+        if (quality.level > 0 && ++quality.good >= quality.probeAfter) {
+            quality.good = 0;
+            quality.raised = true;
+            this._setQuality(quality.level - 1);
+        }
+    };
+
+    /**
+     * Switch to a quality level
+     * @param {Number} level - Index in QUALITY_LEVELS (0 = full quality)
+     */
+    DotWave.prototype._setQuality = function(level) {
+        const previous = QUALITY_LEVELS[this._quality.level];
+        const settings = QUALITY_LEVELS[level];
+        if (this._quality.level === level) return;
+        this._quality.level = level;
+
+        this.simulation.setDotScale(settings.dots);
+        if (settings.resolution !== previous.resolution && this.canvas && this.dpr) {
+            this._resize(this.width, this.height, this.dpr);
+        }
+
+        this._emit('qualityChange', { level: level, settings: Object.assign({}, settings) });
+    };
+
+    /**
+     * Get the shape to draw dots with, circles at the lowest quality levels
+     * @return {String|Function} Shape name or custom shape function
+     */
+    DotWave.prototype._getShape = function() {
+        return QUALITY_LEVELS[this._quality.level].shapes ? this.options.dotShape : 'circle';
+    };
+
+    /**
+     * Get performance statistics
+     * With the worker renderer the values are reported by the worker about once per second
+     * @return {Object} fps, dots, pointers, quality (level, 0 = full quality),
+     *     resolution (canvas pixels per CSS pixel) and running
+     */
+    DotWave.prototype.getStats = function() {
+        let pointers = 0;
+        if (this.options.reactive) {
+            for (const id in this.pointers) pointers++;
+        }
+
+        const stats = {
+            fps: this.fps,
+            dots: this.dots.length,
+            pointers: pointers,
+            quality: this._quality.level,
+            resolution: this.dpr * QUALITY_LEVELS[this._quality.level].resolution,
+            running: this._running
+        };
+
+        // Only the worker knows its frame rate, dots and quality
+        if (this.worker && this._workerStats) {
+            return Object.assign(stats, this._workerStats, { running: this._running });
+        }
+        return stats;
+    };
+
+    /**
+     * Draw a frame with Canvas 2D
+     * @param {Array} pointers - Active pointers
+     * @param {Number} deltaTimeMs - Time elapsed since last frame in milliseconds
+     */
+    DotWave.prototype._drawFrame = function(pointers, deltaTimeMs) {
+        // Clear canvas
+        this.ctx.clearRect(0, 0, this.width, this.height);
+
+        // Fill canvas with background color
+        if (this.options.backgroundColor !== 'transparent') {
+            this.ctx.fillStyle = this._getRGBA(this.options.backgroundColor, 1);
+            this.ctx.fillRect(0, 0, this.width, this.height);
+        }
+
+        // Listeners draw on the same context, beneath or above the dots
+        this._emit('beforeDraw', { ctx: this.ctx, width: this.width, height: this.height });
+
+        // Draw connection lines beneath the dots
+        if (this.options.connections) {
+            this._drawConnections(pointers);
+        }
+
+        // Draw dots
+        for (let i = 0; i < this.dots.length; i++) {
+            this._drawDot(this.dots[i], deltaTimeMs);
+        }
+
+        this._emit('afterDraw', { ctx: this.ctx, width: this.width, height: this.height });
+    };
+
+    /**
+     * Draw a frame with the WebGL renderer
+     * @param {Array} pointers - Active pointers
+     * @param {Number} deltaTimeMs - Time elapsed since last frame in milliseconds
+     */
+    DotWave.prototype._renderWebGL = function(pointers, deltaTimeMs) {
+        const renderer = this.glRenderer;
+        const shape = this._getShape();
+        const imageReady = shape === 'image' && this.dotImageReady;
+
+        renderer.setImage(imageReady ? this.dotImageEl : null);
+        renderer.clear(this.options.backgroundColor);
+
+        // There is no 2D context to draw on, listeners get the WebGL context instead
+        this._emit('beforeDraw', { ctx: null, gl: renderer.gl, width: this.width, height: this.height });
+
+        if (this.options.connections) {
+            renderer.drawLines(this._collectConnections(pointers), this.options.connectionWidth);
+        }
+
+        renderer.drawDots(this.dots, shape, (dot) => this._updateStretch(dot, deltaTimeMs));
+
+        this._emit('afterDraw', { ctx: null, gl: renderer.gl, width: this.width, height: this.height });
+    };
+
+    /**
+     * Draw lines between nearby dots (and optionally from pointers to dots)
+     * @param {Array} pointers - Active pointers
+     */
+    DotWave.prototype._drawConnections = function(pointers) {
+        const batches = this._collectConnections(pointers);
+        const ctx = this.ctx;
+
+        ctx.lineWidth = this.options.connectionWidth;
+        for (let b = 0; b < batches.length; b++) {
+            const coords = batches[b].coords;
+            ctx.beginPath();
+            for (let i = 0; i < coords.length; i += 4) {
+                ctx.moveTo(coords[i], coords[i + 1]);
+                ctx.lineTo(coords[i + 2], coords[i + 3]);
+            }
+            ctx.strokeStyle = this._getRGBA(batches[b].color, batches[b].alpha);
+            ctx.stroke();
+        }
+    };
+
+    /**
+     * Collect connection line segments
+     * Line opacity fades with distance. Segments are batched by color and
+     * quantized opacity so only a handful of strokes are issued per frame.
+     * @param {Array} pointers - Active pointers
+     * @return {Array} Batches of { color, alpha, coords } with 4 coords per segment
+     */
+    DotWave.prototype._collectConnections = function(pointers) {
+        const dots = this.dots;
+        const maxDistance = this.options.connectionDistance;
+        if (maxDistance <= 0 || dots.length === 0) return [];
+
+        const maxDistanceSq = maxDistance * maxDistance;
+        const maxLinks = this.options.connectionMaxLinks > 0 ? this.options.connectionMaxLinks : Infinity;
+        const lineColor = this.options.connectionColor;
+        const grid = this.simulation._getGrid();
+        const levels = 10; // Number of quantized opacity levels
+        const batches = {};
+
+        const addSegment = (color, alpha, x1, y1, x2, y2) => {
+            const level = Math.ceil(alpha * levels);
+            if (level <= 0) return;
+            const key = color + '|' + level;
+            const batch = batches[key] || (batches[key] = { color: color, alpha: level / levels, coords: [] });
+            batch.coords.push(x1, y1, x2, y2);
+        };
+
+        const links = new Uint16Array(dots.length);
+        const cellStart = grid.cellStart;
+        const cellItems = grid.cellItems;
+
+        for (let i = 0; i < dots.length; i++) {
+            if (links[i] >= maxLinks) continue;
+
+            const dot = dots[i];
+            const col = grid.col(dot.x);
+            const row = grid.row(dot.y);
+
+            // Check this cell and its neighbours; each pair is only visited once (j > i)
+            for (let r = Math.max(row - 1, 0); r <= Math.min(row + 1, grid.rows - 1) && links[i] < maxLinks; r++) {
+                for (let c = Math.max(col - 1, 0); c <= Math.min(col + 1, grid.cols - 1) && links[i] < maxLinks; c++) {
+                    const cell = grid.cellIndex(c, r);
+                    for (let k = cellStart[cell]; k < cellStart[cell + 1]; k++) {
+                        const j = cellItems[k];
+                        if (j <= i || links[j] >= maxLinks) continue;
+
+                        const other = dots[j];
+                        const dx = other.x - dot.x;
+                        const dy = other.y - dot.y;
+                        const distanceSq = dx * dx + dy * dy;
+                        if (distanceSq >= maxDistanceSq) continue;
+
+                        const fade = 1 - Math.sqrt(distanceSq) / maxDistance;
+                        addSegment(lineColor || dot.color, fade * Math.min(dot.alpha, other.alpha),
+                            dot.x, dot.y, other.x, other.y);
+
+                        links[i]++;
+                        links[j]++;
+                        if (links[i] >= maxLinks) break;
+                    }
+                }
+            }
+        }
+
+        // Lines from every active pointer to the dots around it
+        if (this.options.connectionCursor) {
+            for (let p = 0; p < pointers.length; p++) {
+                const pointer = pointers[p];
+                grid.forEachInRadius(pointer.x, pointer.y, maxDistance, (index, distanceSq) => {
+                    const dot = dots[index];
+                    const fade = 1 - Math.sqrt(distanceSq) / maxDistance;
+                    addSegment(lineColor || dot.color, fade * dot.alpha, pointer.x, pointer.y, dot.x, dot.y);
+                });
+            }
+        }
+
+        return Object.keys(batches).map((key) => batches[key]);
+    };
+    
+    /**
+     * Convert a color to an rgba() string
+     * @param {String} color - CSS color
+     * @param {Number} alpha - Opacity, multiplied with the alpha of the color itself
+     * @return {String} RGBA color string
+     */
+    DotWave.prototype._getRGBA = function(color, alpha) {
+        const rgba = this._parseColor(color);
+        return 'rgba(' + rgba[0] + ', ' + rgba[1] + ', ' + rgba[2] + ', ' + rgba[3] * alpha + ')';
+    };
+
+    /**
+     * Get the fill style of a dot
+     * Cached on the dot, so the string is only rebuilt when its color or alpha changes
      * @param {Object} dot - The dot object
-     * @param {Number} deltaTime - Time elapsed since last frame
+     * @return {String} RGBA color string
      */
-    DotWave.prototype._drawDot = function(dot, deltaTime) {
-        const shape = this.options.dotShape;
+    DotWave.prototype._getDotFill = function(dot) {
+        if (dot._fillColor !== dot.color || dot._fillAlpha !== dot.alpha) {
+            dot._fillColor = dot.color;
+            dot._fillAlpha = dot.alpha;
+            dot._fill = this._getRGBA(dot.color, dot.alpha);
+        }
+        return dot._fill;
+    };
 
-        // Calculate stretch amount and rotation when stretching is enabled
-        let stretchAmount = 0;
-        if (this.options.dotStretch) {
-            const vxSq = dot.vx * dot.vx;
-            const vySq = dot.vy * dot.vy;
-            const speed = Math.sqrt(vxSq + vySq);
+    /**
+     * Parse a CSS color into its components (cached per color)
+     * Colors that depend on the page, like CSS variables and currentColor, are resolved
+     * through the computed style of the container. Unknown colors fall back to white.
+     * @param {String} color - CSS color
+     * @return {Array} [r, g, b, a] with r, g, b in 0-255 and a in 0-1
+     */
+    DotWave.prototype._parseColor = function(color) {
+        let rgba = this._colorCache[color];
+        if (!rgba) {
+            rgba = parseColor(color) || this._resolveColor(color);
+            if (!rgba) {
+                console.warn('DotWave: Unsupported color: ' + color);
+                rgba = [255, 255, 255, 1];
+            }
+            this._colorCache[color] = rgba;
+        }
+        return rgba;
+    };
 
-            // Calculate stretch amount proportional to speed
-            const normalizedSpeed = Math.min(speed / this.options.maxSpeed, 1);
-            stretchAmount = normalizedSpeed * this.options.dotStretchMult;
+    /**
+     * Let the browser resolve a color in the context of the container
+     * @param {String} color - CSS color, e.g. 'var(--accent)' or 'currentColor'
+     * @return {Array|null} [r, g, b, a], or null without a DOM or for invalid colors
+     */
+    DotWave.prototype._resolveColor = function(color) {
+        if (!this.container || typeof window.getComputedStyle !== 'function') return null;
 
-            // Apply maximum stretch limit if defined
-            if (this.options.dotMaxStretch) {
-                stretchAmount = Math.min(stretchAmount, this.options.dotMaxStretch);
+        const probe = document.createElement('span');
+        probe.style.display = 'none';
+        probe.style.color = color;
+        if (!probe.style.color) return null;
+
+        this.container.appendChild(probe);
+        const computed = window.getComputedStyle(probe).color;
+        this.container.removeChild(probe);
+        return parseColor(computed);
+    };
+
+    /**
+     * Forget parsed colors, so CSS variables are read again
+     */
+    DotWave.prototype._clearColorCache = function() {
+        this._colorCache = {};
+        if (this.glRenderer) {
+            this.glRenderer.colorCache = {};
+        }
+        for (let i = 0; i < this.dots.length; i++) {
+            this.dots[i]._fillColor = null;
+        }
+    };
+    
+    /**
+     * Destroy the DotWave instance
+     * Removes the canvas and all listeners and restores the container, reinit() can set it up again
+     */
+    DotWave.prototype.destroy = function() {
+        if (!this.canvas) return;
+
+        this._emit('destroy');
+        this._teardown();
+    };
+
+    /**
+     * Set the instance up again after destroy(), e.g. when its container was detached and
+     * attached again, or restart a running instance from scratch
+     * Listeners added with on() are kept
+     * @param {Object} [options] - Options to change at the same time
+     */
+    DotWave.prototype.reinit = function(options) {
+        this._teardown();
+
+        // A new simulation restarts the random sequence, so a seed reproduces the same scene
+        this.simulation = new Simulation(options ? mergeOptions(this.options, options) : this.options);
+        this.simulation.host = this;
+        this.options = this.simulation.options;
+
+        // Start from a clean page state, init() measures and detects everything again
+        this.dpr = 0;
+        this.pointers = {};
+        this.motionMode = 'full';
+        this.autoPaused = false;
+        this._autoPauseReason = null;
+        this._inView = true;
+        this._workerRunning = true;
+        this._dotImageSrc = null;
+        this.dotImageEl = null;
+        this.dotImageReady = false;
+        this.fps = 0;
+        this._quality = { level: 0, frames: 0, elapsed: 0, good: 0, probeAfter: 2, raised: false };
+        this._workerStats = null;
+
+        this.init();
+    };
+
+    /**
+     * Stop the animation and remove everything init() added to the page
+     */
+    DotWave.prototype._teardown = function() {
+        // Stop animation
+        if (this._scheduled) {
+            this._scheduled = false;
+            DotWave.scheduler.remove(this);
+        }
+        clearTimeout(this.resizeTimeout);
+        this.resizeTimeout = null;
+
+        // Stop the worker renderer
+        if (this.worker) {
+            DotWave.scheduler.removeWorker(this.worker);
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        // Stop a running recording, discarding it
+        if (this._recording) {
+            this.stopRecording();
+        }
+
+        // Stop following the reduced motion preference and the pixel ratio
+        unwatchMedia(this._motionQuery, this._handleMotionPreference);
+        unwatchMedia(this._pixelRatioQuery, this._handlePixelRatioChange);
+        this._motionQuery = null;
+        this._pixelRatioQuery = null;
+
+        // Remove event listeners and observers
+        for (let i = 0; i < this._domListeners.length; i++) {
+            const l = this._domListeners[i];
+            l.target.removeEventListener(l.type, l.handler, l.options);
+        }
+        this._domListeners = [];
+        if (this._intersectionObserver) {
+            this._intersectionObserver.disconnect();
+            this._intersectionObserver = null;
+        }
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        }
+
+        // Remove canvas
+        if (this.canvas && this.canvas.parentNode) {
+            this.canvas.parentNode.removeChild(this.canvas);
+        }
+
+        // Restore the container styles set by _setupContainer() and _applyTouchAction()
+        if (this._containerStyles) {
+            this.container.style.position = this._containerStyles.position;
+            this.container.style.touchAction = this._containerStyles.touchAction;
+            if (this.container === document.body) {
+                document.body.style.backgroundColor = this._containerStyles.bodyBackground;
             }
+            this._containerStyles = null;
+        }
 
-            if (stretchAmount < 0.01) {
-                // No significant stretch, skip rotation handling
-                stretchAmount = 0;
-            } else {
-                // Calculate target angle based on velocity
-                const targetAngle = Math.atan2(dot.vy, dot.vx);
+        // Clear properties
+        this.canvas = null;
+        this.ctx = null;
+        this.glRenderer = null;
+        this.simulation.dots = [];
+    };
 
-                // Handle rotation based on rotSmoothing setting
-                if (this.options.rotSmoothing) {
-                    // Smooth rotation: interpolate towards target
-                    dot.targetAngle = targetAngle;
+    /**
+     * Update options
+     * @param {Object} options - New options
+     */
+    DotWave.prototype.updateOptions = function(options) {
+        options = options || {};
 
-                    // Calculate rotation lerp factor based on deltaTime and rotSmoothingIntensity
-                    const rotationFactor = this.options.rotSmoothingIntensity <= 0 ?
-                        1 : Math.min(deltaTime / this.options.rotSmoothingIntensity, 1);
+        // Colors may be CSS variables that changed since they were read
+        this._clearColorCache();
+
+        // The worker renderer applies everything except the DOM-related options itself
+        if (this.worker) {
+            this.options = this.simulation.options = mergeOptions(this.options, options);
+            if (typeof options.dotShape === 'function') {
+                console.warn('DotWave: Custom shape functions are not supported by the worker renderer');
+            }
+            if (options.forces !== undefined && this._hasCustomForces()) {
+                console.warn('DotWave: Custom forces are not supported by the worker renderer');
+            }
+            this._postToWorker('options', { options: this._getWorkerOptions(options) });
+            if (options.reactive !== undefined || options.touchScroll !== undefined) {
+                this._applyTouchAction();
+            }
+            this._updatePageOptions(options);
+            this._emit('optionsChange', { changed: options, options: this.options });
+            return;
+        }
+
+        // The simulation reseeds, recreates or recolors the dots as needed
+        this.simulation.setOptions(options);
+        this.options = this.simulation.options;
+
+        // Back to full quality when adaptiveQuality is switched off
+        if (options.adaptiveQuality === false) {
+            this._setQuality(0);
+        }
+
+        // Switch native touch panning on or off over the container
+        if (this.container && (options.reactive !== undefined || options.touchScroll !== undefined)) {
+            this._applyTouchAction();
+            this.pointers = {};
+        }
+
+        // Reload the dot image if the shape or image changed
+        if (options.dotShape !== undefined || options.dotImage !== undefined) {
+            this._loadImage();
+        }
+
+        this._updatePageOptions(options);
+        this._drawStill();
+        this._emit('optionsChange', { changed: options, options: this.options });
+    };
+
+    /**
+     * Apply changes of the canvasLabel, reducedMotion and autoPause options
+     * These are handled on the page, also with the worker renderer
+     * @param {Object} options - Changed options
+     */
+    DotWave.prototype._updatePageOptions = function(options) {
+        // Inside the worker renderer there is no page to apply them to
+        if (!this.canvas || this._offscreen) return;
+
+        if (options.canvasLabel !== undefined) {
+            this._applyAria(this.canvas);
+        }
+        if (options.reducedMotion !== undefined) {
+            this._updateMotionMode();
+        }
+        if (options.autoPause !== undefined) {
+            this._updateAutoPause();
+        }
+    };
+    
+    /**
+     * Find all dots within a radius of a point
+     * @param {Number} x - X coordinate relative to the container
+     * @param {Number} y - Y coordinate relative to the container
+     * @param {Number} r - Radius in pixels
+     * @return {Array} Dots within the radius
+     */
+    DotWave.prototype.queryRadius = function(x, y, r) {
+        // With the worker renderer the dots only exist inside the worker
+        if (this.worker) return [];
+
+        return this.simulation.queryRadius(x, y, r);
+    };
+
+    /**
+     * Emit a radial shockwave from a point
+     * @param {Number} x - X coordinate relative to the container
+     * @param {Number} y - Y coordinate relative to the container
+     * @param {Object} [opts] - Overrides for effect, strength, speed and radius
+     */
+    DotWave.prototype.burst = function(x, y, opts) {
+        opts = opts || {};
+
+        if (this.worker) {
+            this._postToWorker('burst', { x: x, y: y, opts: opts });
+            return;
+        }
+
+        this.simulation.burst(x, y, opts);
+    };
+
+    /**
+     * Form the dots into text
+     * @param {String} text - Text to form
+     * @param {String} [font] - CSS font; the text is scaled down if it doesn't fit
+     */
+    DotWave.prototype.formText = function(text, font) {
+        this._formFromCanvas((ctx, width, height) => {
+            ctx.font = font || 'bold 160px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+
+            // Scale the text down to fit 90% of the canvas
+            const metrics = ctx.measureText(text);
+            const textHeight = (metrics.actualBoundingBoxAscent + metrics.actualBoundingBoxDescent) || parseFloat(ctx.font);
+            const scale = Math.min(1, width * 0.9 / metrics.width, height * 0.9 / textHeight);
+
+            ctx.translate(width / 2, height / 2);
+            ctx.scale(scale, scale);
+            ctx.fillText(text, 0, 0);
+        });
+    };
+
+    /**
+     * Form the dots into an image
+     * Dots are placed on the non-transparent pixels of the image
+     * @param {String} src - Image URL
+     * @return {Promise} Resolves once the image is loaded and the dots are forming
+     */
+    DotWave.prototype.formImage = function(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => {
+                try {
+                    this._formFromCanvas((ctx, width, height) => {
+                        // Fit the image into 90% of the canvas, preserving its aspect ratio
+                        const scale = Math.min(width * 0.9 / img.naturalWidth, height * 0.9 / img.naturalHeight);
+                        const w = img.naturalWidth * scale;
+                        const h = img.naturalHeight * scale;
+                        ctx.drawImage(img, (width - w) / 2, (height - h) / 2, w, h);
+                    });
+                    resolve();
+                } catch (error) {
+                    // Cross-origin images without CORS headers can't be sampled
+                    reject(error);
+                }
+            };
+            img.onerror = () => {
+                reject(new Error('DotWave: Failed to load image: ' + src));
+            };
+            img.src = src;
+        });
+    };
+
+    /**
+     * Form the dots into an SVG path
+     * @param {String} svgPathString - Path data, as in the d attribute of an SVG path
+     */
+    DotWave.prototype.formPath = function(svgPathString) {
+        const bounds = this._getPathBounds(svgPathString);
+
+        this._formFromCanvas((ctx, width, height) => {
+            // Fit the path into 80% of the canvas, centered
+            if (bounds && bounds.width > 0 && bounds.height > 0) {
+                const scale = Math.min(width * 0.8 / bounds.width, height * 0.8 / bounds.height);
+                ctx.translate(width / 2, height / 2);
+                ctx.scale(scale, scale);
+                ctx.translate(-(bounds.x + bounds.width / 2), -(bounds.y + bounds.height / 2));
+            }
+            ctx.fill(new Path2D(svgPathString));
+        });
+    };
+
+    /**
+     * Measure an SVG path with a temporary hidden SVG element
+     * @param {String} svgPathString - Path data
+     * @return {Object|null} Bounding box, or null if it can't be measured
+     */
+    DotWave.prototype._getPathBounds = function(svgPathString) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(ns, 'svg');
+        const path = document.createElementNS(ns, 'path');
+        svg.style.position = 'absolute';
+        svg.style.visibility = 'hidden';
+        path.setAttribute('d', svgPathString);
+        svg.appendChild(path);
+        document.body.appendChild(svg);
+
+        try {
+            return path.getBBox();
+        } catch (error) {
+            return null;
+        } finally {
+            document.body.removeChild(svg);
+        }
+    };
+
+    /**
+     * Draw a shape on a hidden canvas the size of this one and form the dots into it
+     * Filled pixels are sampled on a grid spaced so there are about as many
+     * points as dots, which spreads the dots evenly over the shape
+     * @param {Function} draw - function(ctx, width, height) drawing the shape
+     */
+    DotWave.prototype._formFromCanvas = function(draw) {
+        const width = Math.max(Math.ceil(this.width), 1);
+        const height = Math.max(Math.ceil(this.height), 1);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        draw(ctx, width, height);
+        const pixels = ctx.getImageData(0, 0, width, height).data;
 
-                    // Smoothly interpolate current angle towards target
-                    dot.currentAngle = this._lerpAngle(dot.currentAngle, dot.targetAngle, rotationFactor);
-                } else {
-                    // Instant rotation: directly set angle
-                    dot.currentAngle = targetAngle;
+        // Count filled pixels to pick the sampling step
+        let filled = 0;
+        for (let i = 3; i < pixels.length; i += 4) {
+            if (pixels[i] > 128) filled++;
+        }
+        const numDots = this.worker ? this.simulation._getDotCount() : this.dots.length;
+        const step = Math.max(1, Math.sqrt(filled / Math.max(numDots, 1)));
+
+        const points = [];
+        for (let y = step / 2; y < height; y += step) {
+            for (let x = step / 2; x < width; x += step) {
+                if (pixels[(Math.floor(y) * width + Math.floor(x)) * 4 + 3] > 128) {
+                    points.push({ x: x, y: y });
                 }
             }
         }
 
-        // Image dots are drawn separately
-        if (shape === 'image') {
-            this._drawImageDot(dot, stretchAmount);
-            return;
+        if (this.worker) {
+            this._postToWorker('form', { points: points });
+        } else {
+            this.simulation.setTargets(points);
         }
+    };
 
-        const fillStyle = this._getRGBA(dot.color, dot.alpha);
-
-        // Fast path: default circle without stretch
-        if (stretchAmount === 0 && shape === 'circle') {
-            this.ctx.beginPath();
-            this.ctx.arc(dot.x, dot.y, dot.radius, 0, Math.PI * 2);
-            this.ctx.fillStyle = fillStyle;
-            this.ctx.fill();
+    /**
+     * Release the dots from formText/formImage/formPath back into free motion
+     */
+    DotWave.prototype.release = function() {
+        if (this.worker) {
+            this._postToWorker('release');
             return;
         }
 
-        // Transformed path: rotate towards velocity and stretch along the movement axis
-        this.ctx.save();
-        this.ctx.translate(dot.x, dot.y);
-        if (stretchAmount > 0) {
-            this.ctx.rotate(dot.currentAngle);
-            this.ctx.scale((dot.radius + stretchAmount) / dot.radius, 1);
-        }
-
-        this.ctx.beginPath();
-        this._traceShape(shape, dot.radius);
-        this.ctx.fillStyle = fillStyle;
-        this.ctx.fill();
+        this.simulation.release();
+    };
 
-        this.ctx.restore();
+    /**
+     * Pause animation
+     */
+    DotWave.prototype.pause = function() {
+        this._paused = true;
+        this._syncLoop('user');
+    };
+    
+    /**
+     * Resume animation
+     * The animation stays still while the motion mode is 'static' or while autoPause holds it
+     */
+    DotWave.prototype.resume = function() {
+        this._paused = false;
+        this._syncLoop('user');
     };
 
     /**
-     * Trace the path of a dot shape centered at the origin
-     * @param {String|Function} shape - Shape name or custom draw function
-     * @param {Number} r - Dot radius
+     * Capture the current frame as an image
+     * The frame is redrawn at the requested scale, so snapshots stay sharp at any resolution
+     * @param {Object} [opts] - type (default 'image/png'), quality (0-1, for lossy types),
+     *     scale (default 1) and dataUrl (resolve to a data URL instead of a Blob)
+     * @return {Promise} Resolves with a Blob or a data URL string
      */
-    DotWave.prototype._traceShape = function(shape, r) {
-        const ctx = this.ctx;
+    DotWave.prototype.snapshot = function(opts) {
+        opts = opts || {};
 
-        // Custom shapes: a function that traces a path centered at (0, 0)
-        if (typeof shape === 'function') {
-            shape(ctx, r);
-            return;
+        // With the worker renderer the dots only exist inside the worker
+        if (this.worker) {
+            return Promise.reject(new Error('DotWave: snapshot() is not supported by the worker renderer'));
         }
 
-        switch (shape) {
-            case 'square':
-                ctx.rect(-r, -r, r * 2, r * 2);
-                break;
-            case 'triangle':
-                // Equilateral triangle pointing in the direction of travel
-                ctx.moveTo(r, 0);
-                ctx.lineTo(-r * 0.5, r * 0.866);
-                ctx.lineTo(-r * 0.5, -r * 0.866);
-                ctx.closePath();
-                break;
-            case 'star': {
-                // Five-pointed star
-                const innerR = r * 0.45;
-                let rot = -Math.PI / 2;
-                const step = Math.PI / 5;
-                ctx.moveTo(Math.cos(rot) * r, Math.sin(rot) * r);
-                for (let i = 0; i < 5; i++) {
-                    rot += step;
-                    ctx.lineTo(Math.cos(rot) * innerR, Math.sin(rot) * innerR);
-                    rot += step;
-                    ctx.lineTo(Math.cos(rot) * r, Math.sin(rot) * r);
-                }
-                ctx.closePath();
-                break;
-            }
-            default:
-                ctx.arc(0, 0, r, 0, Math.PI * 2);
+        const canvas = this._createExportCanvas(opts.scale || 1);
+        this._drawExportFrame(canvas, opts.scale || 1, 0);
+
+        if (opts.dataUrl) {
+            return Promise.resolve(canvas.toDataURL(opts.type || 'image/png', opts.quality));
         }
+        return this._canvasToBlob(canvas, opts.type, opts.quality);
     };
 
     /**
-     * Draw a dot using the configured image
-     * Falls back to a circle while the image is loading
-     * @param {Object} dot - The dot object
-     * @param {Number} stretchAmount - Stretch amount along the movement axis
+     * Render a sequence of frames at a fixed timestep
+     * The frames start from a new simulation of the current options and ignore pointer
+     * input, so the same seed always renders the same frames. The live animation is
+     * paused meanwhile and continues unchanged afterwards.
+     * @param {Number} count - Number of frames
+     * @param {Number} [fps] - Frames per second of the sequence (default 30)
+     * @param {Object} [opts] - type, quality and scale as in snapshot(), and
+     *     onFrame(blob, index) called as soon as each frame is ready
+     * @return {Promise} Resolves with an array of Blobs
      */
-    DotWave.prototype._drawImageDot = function(dot, stretchAmount) {
-        if (!this.dotImageReady) {
-            this.ctx.beginPath();
-            this.ctx.arc(dot.x, dot.y, dot.radius, 0, Math.PI * 2);
-            this.ctx.fillStyle = this._getRGBA(dot.color, dot.alpha);
-            this.ctx.fill();
-            return;
+    DotWave.prototype.renderFrames = function(count, fps, opts) {
+        opts = opts || {};
+
+        if (this.worker) {
+            return Promise.reject(new Error('DotWave: renderFrames() is not supported by the worker renderer'));
         }
 
-        const img = this.dotImageEl;
+        const frameMs = 1000 / (fps || 30);
+        const scale = opts.scale || 1;
+        const canvas = this._createExportCanvas(scale);
+        const frames = [];
+        const wasPaused = this._paused;
+        this.pause();
 
-        // Scale the image so its larger side matches the dot diameter,
-        // preserving the image aspect ratio
-        const size = dot.radius * 2;
-        const ratio = img.naturalWidth / img.naturalHeight;
-        let w, h;
-        if (ratio >= 1) {
-            w = size;
-            h = size / ratio;
-        } else {
-            h = size;
-            w = size * ratio;
-        }
+        // Draw a new simulation instead of the live one, like reinit() it restarts the seed
+        const live = this.simulation;
+        this.simulation = new Simulation(this.options);
+        this.simulation.host = this;
+        this.simulation.resize(live.width, live.height);
+        this.simulation.createDots();
 
-        this.ctx.save();
-        this.ctx.globalAlpha = dot.alpha;
-        this.ctx.translate(dot.x, dot.y);
-        if (stretchAmount > 0) {
-            this.ctx.rotate(dot.currentAngle);
-            this.ctx.scale((dot.radius + stretchAmount) / dot.radius, 1);
-        }
-        this.ctx.drawImage(img, -w / 2, -h / 2, w, h);
-        this.ctx.restore();
+        const renderNext = () => {
+            if (frames.length >= count) return frames;
+
+            const alpha = this.simulation.advance(frameMs, { pointers: [] });
+            this._drawInterpolated(alpha, () => this._drawExportFrame(canvas, scale, frameMs));
+
+            return this._canvasToBlob(canvas, opts.type, opts.quality).then((blob) => {
+                if (opts.onFrame) opts.onFrame(blob, frames.length);
+                frames.push(blob);
+                return renderNext();
+            });
+        };
+
+        const finish = () => {
+            this.simulation = live;
+            if (!wasPaused) this.resume();
+            this._drawStill();
+        };
+
+        return Promise.resolve().then(renderNext).then((result) => {
+            finish();
+            return result;
+        }, (error) => {
+            finish();
+            throw error;
+        });
     };
-    
+
     /**
-     * Animation loop
+     * Start recording the canvas to a video
+     * @param {Object} [opts] - mimeType (default: WebM, VP9 if supported), fps (default 60)
+     *     and videoBitsPerSecond
      */
-    DotWave.prototype._animate = function() {
-        this.animationFrame = requestAnimationFrame(this._animate.bind(this));
-        
-        const currentTime = performance.now();
-        const deltaTimeMs = Math.min(currentTime - this.lastFrameTime, 32); // Cap at ~30fps minimum
-        const deltaTime = deltaTimeMs / 10; // Normalize to 100fps for frame-rate independence
-        this.lastFrameTime = currentTime;
-        
-        // Only process mouse speed decay if reactive mode is enabled
-        if (this.options.reactive) {
-            // Decay mouse speed over time for smoother interaction
-            this.mouseSpeedX *= Math.pow(this.options.mouseSpeedDecay, deltaTime);
-            this.mouseSpeedY *= Math.pow(this.options.mouseSpeedDecay, deltaTime);
-        }
-        
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.width, this.height);
+    DotWave.prototype.startRecording = function(opts) {
+        opts = opts || {};
 
-        // Fill canvas with background color
-        if (this.options.backgroundColor !== 'transparent') {
-            this.ctx.fillStyle = this.options.backgroundColor;
-            this.ctx.fillRect(0, 0, this.width, this.height);
+        if (typeof MediaRecorder === 'undefined' || !this.canvas || typeof this.canvas.captureStream !== 'function') {
+            throw new Error('DotWave: Recording is not supported in this browser');
         }
-        
-        // Pre-calculate common values for performance
-        const randomFactor = this.options.randomFactor;
-        const friction = Math.pow(this.options.friction, deltaTime); // Frame-rate independent friction
-        const maxSpeed = this.options.maxSpeed;
-        const maxSpeedSq = maxSpeed * maxSpeed;
-        
-        // Pre-calculate mouse influence values only if reactive mode is enabled
-        let influenceRadius, influenceRadiusSq, normalizedInfluenceStrength;
-        if (this.options.reactive) {
-            influenceRadius = this.options.influenceRadius;
-            influenceRadiusSq = influenceRadius * influenceRadius; // Avoid sqrt in distance check
-            normalizedInfluenceStrength = this.options.influenceStrength;
-        }
-
-        // Pre-calculate motion preset values
-        const motion = this.options.motion;
-        const motionStrength = this.options.motionStrength;
-        let streamVX, streamVY, vortexX, vortexY;
-        if (motion === 'stream') {
-            const motionAngleRad = this.options.motionAngle * Math.PI / 180;
-            streamVX = Math.cos(motionAngleRad) * motionStrength;
-            streamVY = Math.sin(motionAngleRad) * motionStrength;
-        } else if (motion === 'vortex') {
-            vortexX = this.options.motionCenterX * this.width;
-            vortexY = this.options.motionCenterY * this.height;
+        if (this._recording) {
+            throw new Error('DotWave: A recording is already running');
         }
-        
-        // Update and draw dots
-        for (let i = 0; i < this.dots.length; i++) {
-            const dot = this.dots[i];
-            
-            // Apply mouse influence only if reactive mode is enabled and mouse is over the container
-            if (this.options.reactive && this.isMouseOver) {
-                // Calculate distance to mouse (using squared distance to avoid sqrt)
-                const dx = this.mouseX - dot.x;
-                const dy = this.mouseY - dot.y;
-                const distanceSq = dx * dx + dy * dy;
-                
-                // Apply mouse influence if dot is within range
-                if (distanceSq < influenceRadiusSq) {
-                    // Stronger effect when closer (calculate actual distance only when needed)
-                    const distance = Math.sqrt(distanceSq);
-                    const influence = (1 - distance / influenceRadius) * dot.z;
-                    
-                    // Apply mouse speed influence
-                    dot.vx += this.mouseSpeedX * influence * normalizedInfluenceStrength * deltaTime;
-                    dot.vy += this.mouseSpeedY * influence * normalizedInfluenceStrength * deltaTime;
-                }
-            }
-            
-            // Apply autonomous motion preset (frame-rate independent)
-            if (motion === 'stream') {
-                // Constant directional flow
-                dot.vx += streamVX * deltaTime;
-                dot.vy += streamVY * deltaTime;
-            } else if (motion === 'vortex') {
-                const cdx = dot.x - vortexX;
-                const cdy = dot.y - vortexY;
-                const cDist = Math.sqrt(cdx * cdx + cdy * cdy) || 1;
-                const nx = cdx / cDist;
-                const ny = cdy / cDist;
-
-                // Tangential force spins dots around the center, with a slight
-                // inward pull (fading near the center) to hold the swirl together
-                const inward = 0.2 * Math.min(cDist / 100, 1);
-                dot.vx += (-ny - nx * inward) * motionStrength * deltaTime;
-                dot.vy += (nx - ny * inward) * motionStrength * deltaTime;
-            }
 
-            // Add some randomness to movement (frame-rate independent)
-            dot.vx += (Math.random() - 0.5) * randomFactor * deltaTime;
-            dot.vy += (Math.random() - 0.5) * randomFactor * deltaTime;
-            
-            // Apply friction to prevent excessive speed (frame-rate independent)
-            dot.vx *= friction;
-            dot.vy *= friction;
-            
-            // Limit maximum speed (using squared values for performance)
-            const speedSq = dot.vx * dot.vx + dot.vy * dot.vy;
-            if (speedSq > maxSpeedSq) {
-                const scale = maxSpeed / Math.sqrt(speedSq);
-                dot.vx *= scale;
-                dot.vy *= scale;
-            }
-            
-            // Update position based on velocity and depth (frame-rate independent)
-            dot.x += dot.vx * dot.speedMultiplier * deltaTime;
-            dot.y += dot.vy * dot.speedMultiplier * deltaTime;
-            
-            // Wrap around edges (with a buffer to prevent popping)
-            if (dot.x < -50) dot.x = this.width + 50;
-            if (dot.x > this.width + 50) dot.x = -50;
-            if (dot.y < -50) dot.y = this.height + 50;
-            if (dot.y > this.height + 50) dot.y = -50;
-            
-            // Draw dot
-            this._drawDot(dot, deltaTimeMs);
+        let mimeType = opts.mimeType;
+        if (!mimeType) {
+            mimeType = ['video/webm;codecs=vp9', 'video/webm'].filter((type) => MediaRecorder.isTypeSupported(type))[0];
         }
+
+        const recorder = new MediaRecorder(this.canvas.captureStream(opts.fps || 60), {
+            mimeType: mimeType,
+            videoBitsPerSecond: opts.videoBitsPerSecond
+        });
+        const chunks = [];
+        recorder.ondataavailable = (e) => {
+            if (e.data && e.data.size > 0) chunks.push(e.data);
+        };
+        recorder.start();
+        this._recording = { recorder: recorder, chunks: chunks };
     };
-    
+
     /**
-     * Convert color to RGBA format
-     * @param {String} color - CSS color
-     * @param {Number} alpha - Alpha value
-     * @return {String} RGBA color string
+     * Stop recording the canvas
+     * @return {Promise} Resolves with the recorded video as a Blob
      */
-    DotWave.prototype._getRGBA = function(color, alpha) {
-        // If already RGBA format
-        if (color.startsWith('rgba')) {
-            return color;
-        }
-        
-        // If RGB format
-        if (color.startsWith('rgb')) {
-            return color.replace('rgb', 'rgba').replace(')', `, ${alpha})`);
-        }
-        
-        // For hex colors
-        if (color.startsWith('#')) {
-            const hex = color.substring(1);
-            const r = parseInt(hex.length === 3 ? hex.charAt(0) + hex.charAt(0) : hex.substring(0, 2), 16);
-            const g = parseInt(hex.length === 3 ? hex.charAt(1) + hex.charAt(1) : hex.substring(2, 4), 16);
-            const b = parseInt(hex.length === 3 ? hex.charAt(2) + hex.charAt(2) : hex.substring(4, 6), 16);
-            return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    DotWave.prototype.stopRecording = function() {
+        const recording = this._recording;
+        if (!recording) {
+            return Promise.reject(new Error('DotWave: No recording is running'));
         }
-        
-        // For named colors, use a predefined map
-        const namedColors = {
-            'white': 'rgba(255, 255, 255, ' + alpha + ')',
-            'black': 'rgba(0, 0, 0, ' + alpha + ')',
-            'red': 'rgba(255, 0, 0, ' + alpha + ')',
-            'green': 'rgba(0, 128, 0, ' + alpha + ')',
-            'blue': 'rgba(0, 0, 255, ' + alpha + ')',
-            'yellow': 'rgba(255, 255, 0, ' + alpha + ')',
-            'orange': 'rgba(255, 165, 0, ' + alpha + ')',
-            'purple': 'rgba(128, 0, 128, ' + alpha + ')',
-            'pink': 'rgba(255, 192, 203, ' + alpha + ')',
-            'brown': 'rgba(165, 42, 42, ' + alpha + ')',
-            'gray': 'rgba(128, 128, 128, ' + alpha + ')',
-            'grey': 'rgba(128, 128, 128, ' + alpha + ')',
-            'cyan': 'rgba(0, 255, 255, ' + alpha + ')',
-            'magenta': 'rgba(255, 0, 255, ' + alpha + ')',
-            'lime': 'rgba(0, 255, 0, ' + alpha + ')',
-            'maroon': 'rgba(128, 0, 0, ' + alpha + ')',
-            'navy': 'rgba(0, 0, 128, ' + alpha + ')',
-            'olive': 'rgba(128, 128, 0, ' + alpha + ')',
-            'teal': 'rgba(0, 128, 128, ' + alpha + ')',
-            'silver': 'rgba(192, 192, 192, ' + alpha + ')',
-            'gold': 'rgba(255, 215, 0, ' + alpha + ')',
-            'indigo': 'rgba(75, 0, 130, ' + alpha + ')',
-            'violet': 'rgba(238, 130, 238, ' + alpha + ')',
-            'turquoise': 'rgba(64, 224, 208, ' + alpha + ')'
-        };
+        this._recording = null;
 
-        
-        return namedColors[color.toLowerCase()] || `rgba(255, 255, 255, ${alpha})`;
+        const recorder = recording.recorder;
+        return new Promise((resolve) => {
+            recorder.onstop = () => {
+                resolve(new Blob(recording.chunks, { type: recorder.mimeType }));
+            };
+            recorder.stop();
+            recorder.stream.getTracks().forEach((track) => track.stop());
+        });
     };
-    
+
     /**
-     * Destroy the DotWave instance
+     * Create a canvas for exported frames
+     * @param {Number} scale - Resolution relative to the CSS size of the canvas
+     * @return {HTMLCanvasElement|OffscreenCanvas} The canvas
      */
-    DotWave.prototype.destroy = function() {
-        // Stop animation
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-        }
-        
-        // Remove event listeners
-        this.container.removeEventListener('mousemove', this._handleMouseMove);
-        this.container.removeEventListener('mouseenter', this._handleMouseEnter);
-        this.container.removeEventListener('mouseleave', this._handleMouseLeave);
-        window.removeEventListener('resize', this._handleResize);
-        
-        // Remove canvas
-        if (this.canvas && this.canvas.parentNode) {
-            this.canvas.parentNode.removeChild(this.canvas);
+    DotWave.prototype._createExportCanvas = function(scale) {
+        const width = Math.max(Math.round(this.width * scale), 1);
+        const height = Math.max(Math.round(this.height * scale), 1);
+
+        if (typeof document === 'undefined') {
+            return new OffscreenCanvas(width, height);
         }
-        
-        // Clear properties
-        this.canvas = null;
-        this.ctx = null;
-        this.dots = [];
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
     };
-    
+
     /**
-     * Update options
-     * @param {Object} options - New options
+     * Draw the current state to an export canvas with Canvas 2D, whatever the live renderer is
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Export canvas
+     * @param {Number} scale - Resolution relative to the CSS size of the canvas
+     * @param {Number} deltaTimeMs - Time since the previous exported frame (for rotation smoothing)
      */
-    DotWave.prototype.updateOptions = function(options) {
-        options = options || {};
-        this.options = this._mergeOptions(this.options, options);
+    DotWave.prototype._drawExportFrame = function(canvas, scale, deltaTimeMs) {
+        const liveCtx = this.ctx;
+        this.ctx = canvas.getContext('2d');
+        this.ctx.setTransform(scale, 0, 0, scale, 0, 0);
 
-        // Recreate dots if number changed, stretching was toggled, or rotation settings changed
-        if (options.numDots !== undefined ||
-            options.dotStretch !== undefined ||
-            options.rotSmoothing !== undefined) {
-            this._createDots();
-        } else if (options.dotColor !== undefined || options.dotColors !== undefined) {
-            // Reassign dot colors without resetting positions
-            for (let i = 0; i < this.dots.length; i++) {
-                this.dots[i].color = this._pickDotColor();
-            }
+        try {
+            this._drawFrame([], deltaTimeMs);
+        } finally {
+            this.ctx = liveCtx;
         }
+    };
 
-        // Reload the dot image if the shape or image changed
-        if (options.dotShape !== undefined || options.dotImage !== undefined) {
-            this._loadImage();
+    /**
+     * Encode a canvas into an image Blob
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas
+     * @param {String} [type] - Image MIME type (default 'image/png')
+     * @param {Number} [quality] - Quality for lossy types (0-1)
+     * @return {Promise} Resolves with the Blob
+     */
+    DotWave.prototype._canvasToBlob = function(canvas, type, quality) {
+        type = type || 'image/png';
+
+        if (typeof canvas.convertToBlob === 'function') {
+            return canvas.convertToBlob({ type: type, quality: quality });
         }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('DotWave: Could not encode the frame as ' + type));
+                }
+            }, type, quality);
+        });
     };
-    
+
     /**
-     * Pause animation
+     * Message handler of the worker renderer
+     * Runs inside the worker and drives a DotWave instance that draws to the
+     * OffscreenCanvas transferred from the page
+     * @param {MessageEvent} e - Message from the page
      */
-    DotWave.prototype.pause = function() {
-        if (this.animationFrame) {
-            cancelAnimationFrame(this.animationFrame);
-            this.animationFrame = null;
+    function handleWorkerMessage(e) {
+        const data = e.data;
+        const wave = handleWorkerMessage.wave;
+
+        if (data.type === 'init') {
+            const instance = Object.create(DotWave.prototype);
+            instance._offscreen = data;
+            DotWave.call(instance, data.options);
+            handleWorkerMessage.wave = instance;
+            return;
         }
-    };
-    
+
+        // The worker has its own scheduler, following the settings of the page's one
+        if (data.type === 'scheduler') {
+            Object.assign(DotWave.scheduler, data.settings);
+            return;
+        }
+
+        if (!wave) return;
+
+        switch (data.type) {
+            case 'resize':
+                wave._resize(data.width, data.height, data.dpr);
+                break;
+            case 'pointer':
+                if (data.pointer) {
+                    wave.pointers[data.id] = data.pointer;
+                } else {
+                    delete wave.pointers[data.id];
+                }
+                break;
+            case 'options':
+                wave.updateOptions(data.options);
+                break;
+            case 'burst':
+                wave.burst(data.x, data.y, data.opts);
+                break;
+            case 'form':
+                wave.simulation.setTargets(data.points);
+                break;
+            case 'release':
+                wave.release();
+                break;
+            case 'pause':
+                wave.pause();
+                break;
+            case 'resume':
+                wave.resume();
+                break;
+            case 'motionMode':
+                wave._setMotionMode(data.mode);
+                break;
+        }
+    }
+
     /**
-     * Resume animation
+     * Register a force that can be used in the forces option (or as a motion preset)
+     * The function is called for every dot each frame and returns an acceleration
+     * @param {String} name - Force name
+     * @param {Function} fn - function(dot, deltaTime, context) returning { x, y } or nothing;
+     *     context holds width, height, time (ms), params and the dotwave instance
      */
-    DotWave.prototype.resume = function() {
-        if (!this.animationFrame) {
-            this.lastFrameTime = performance.now();
-            this._animate();
+    DotWave.registerForce = function(name, fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('DotWave: Force "' + name + '" must be a function');
         }
+        forceRegistry[name] = fn;
     };
-    
+
+    /**
+     * Events emitted by DotWave instances, see on()
+     * <dot-wave> re-dispatches them as 'dotwave:' + the lowercased name
+     */
+    DotWave.events = [
+        'init', 'frame', 'beforeDraw', 'afterDraw', 'resize', 'optionsChange',
+        'pause', 'resume', 'motionModeChange', 'destroy', 'imageLoad', 'imageError', 'qualityChange'
+    ];
+
+    // One animation loop for all instances on the page (or in the worker)
+    DotWave.scheduler = new Scheduler();
+
     // Expose DotWave to global scope
+    DotWave.Simulation = Simulation;
+    DotWave.WebGLRenderer = WebGLRenderer;
     global.DotWave = DotWave;
+
+    // When loaded as the worker renderer, wait for the canvas from the page
+    if (typeof document === 'undefined' && typeof importScripts === 'function') {
+        global.addEventListener('message', handleWorkerMessage);
+    }
     
 })(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DotWave } = require('../src/dotwave.js');
+
+// Without a DotWave instance the simulation parses colors with the built-in parser
+const simulation = new DotWave.Simulation();
+const parse = (color) => simulation._parseColor(color);
+
+/**
+ * Compare parsed color components, allowing rounding differences of the conversions
+ * @param {String} color - CSS color
+ * @param {Array} expected - [r, g, b, a]
+ */
+function assertColor(color, expected) {
+    const rgba = parse(color);
+    assert.ok(rgba, color + ' is not parsed');
+    for (let i = 0; i < 3; i++) {
+        assert.ok(Math.abs(rgba[i] - expected[i]) <= 1, color + ': ' + rgba + ' != ' + expected);
+    }
+    assert.ok(Math.abs(rgba[3] - expected[3]) < 1e-9, color + ': alpha ' + rgba[3] + ' != ' + expected[3]);
+}
+
+test('hex colors with 3, 4, 6 and 8 digits', () => {
+    assertColor('#f80', [255, 136, 0, 1]);
+    assertColor('#f808', [255, 136, 0, 0x88 / 255]);
+    assertColor('#FF8800', [255, 136, 0, 1]);
+    assertColor('#ff880080', [255, 136, 0, 128 / 255]);
+    assert.deepEqual(parse('#ff88'), parse('#ffff8888'));
+    assert.equal(parse('#12345'), null);
+    assert.equal(parse('#ggg'), null);
+});
+
+test('named colors and transparent', () => {
+    assertColor('rebeccapurple', [102, 51, 153, 1]);
+    assertColor('White', [255, 255, 255, 1]);
+    assertColor('transparent', [0, 0, 0, 0]);
+    assert.equal(parse('notacolor'), null);
+});
+
+test('rgb() with legacy and modern syntax', () => {
+    assertColor('rgb(255, 0, 0)', [255, 0, 0, 1]);
+    assertColor('rgba(255, 0, 0, 0.25)', [255, 0, 0, 0.25]);
+    assertColor('rgb(100% 50% 0%)', [255, 128, 0, 1]);
+    assertColor('rgb(255 0 0 / 0.5)', [255, 0, 0, 0.5]);
+    assertColor('rgb(255 0 0 / 50%)', [255, 0, 0, 0.5]);
+    assertColor('rgb(300 -20 0)', [255, 0, 0, 1]);
+});
+
+test('hsl() and hwb()', () => {
+    assertColor('hsl(120, 100%, 50%)', [0, 255, 0, 1]);
+    assertColor('hsla(240, 100%, 50%, 0.5)', [0, 0, 255, 0.5]);
+    assertColor('hsl(0.5turn 100% 25% / 20%)', [0, 128, 128, 0.2]);
+    assertColor('hwb(0 0% 0%)', [255, 0, 0, 1]);
+    assertColor('hwb(120 20% 20%)', [51, 204, 51, 1]);
+    // Whiteness and blackness adding up to 100% or more give a gray
+    assertColor('hwb(0 60% 60%)', [128, 128, 128, 1]);
+});
+
+test('lab() and lch()', () => {
+    assertColor('lab(100% 0 0)', [255, 255, 255, 1]);
+    assertColor('lab(50 0 0)', [119, 119, 119, 1]);
+    assertColor('lab(54.29 80.8 69.89)', [255, 0, 0, 1]);
+    assertColor('lch(50% 0 0 / 0.5)', [119, 119, 119, 0.5]);
+    assertColor('lch(54.29 106.84 40.85)', [255, 0, 0, 1]);
+});
+
+test('oklab() and oklch()', () => {
+    assertColor('oklab(1 0 0)', [255, 255, 255, 1]);
+    assertColor('oklab(62.8% 0.2249 0.1258)', [255, 0, 0, 1]);
+    assertColor('oklch(62.8% 0.2577 29.23)', [255, 0, 0, 1]);
+    assertColor('oklch(0.866 0.295 142.5 / 0.3)', [0, 255, 0, 0.3]);
+});
+
+test('color() in the srgb, srgb-linear and display-p3 spaces', () => {
+    assertColor('color(srgb 1 0.5 0)', [255, 128, 0, 1]);
+    assertColor('color(srgb-linear 1 0.2140 0)', [255, 128, 0, 1]);
+    assertColor('color(display-p3 0.5 0.5 0.5)', [128, 128, 128, 1]);
+    assertColor('color(display-p3 0.9175 0.2003 0.1387)', [255, 0, 0, 1]);
+    // Out of the sRGB gamut: clipped
+    assertColor('color(display-p3 0 1 0 / 0.5)', [0, 255, 0, 0.5]);
+    assert.equal(parse('color(rec2020 1 0 0)'), null);
+});
+
+test('parsed colors are cached per instance', () => {
+    const dotwave = Object.create(DotWave.prototype);
+    dotwave._colorCache = {};
+
+    const rgba = dotwave._parseColor('hsl(120 100% 50%)');
+    assert.deepEqual(rgba, [0, 255, 0, 1]);
+    assert.equal(dotwave._parseColor('hsl(120 100% 50%)'), rgba);
+});
+
+test('the fill style of a dot is only rebuilt when its color or alpha changes', () => {
+    const dotwave = Object.create(DotWave.prototype);
+    dotwave._colorCache = {};
+    const dot = { color: '#ff000080', alpha: 0.5 };
+
+    const fill = dotwave._getDotFill(dot);
+    assert.equal(fill, 'rgba(255, 0, 0, ' + 128 / 255 * 0.5 + ')');
+
+    // Same color and alpha: the cached string is reused
+    dot._fill = 'cached';
+    assert.equal(dotwave._getDotFill(dot), 'cached');
+
+    dot.alpha = 1;
+    assert.equal(dotwave._getDotFill(dot), 'rgba(255, 0, 0, ' + 128 / 255 + ')');
+
+    dot.color = 'oklch(1 0 0)';
+    assert.equal(dotwave._getDotFill(dot), 'rgba(255, 255, 255, 1)');
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DotWave } = require('../src/dotwave.js');
+
+/**
+ * Create a DotWave instance without a page, whose exported frames are the dot positions
+ * @param {Object} options - Options
+ * @return {DotWave}
+ */
+function createDotWave(options) {
+    const dotwave = Object.create(DotWave.prototype);
+    dotwave.simulation = new DotWave.Simulation(options);
+    dotwave.simulation.host = dotwave;
+    dotwave.options = dotwave.simulation.options;
+    dotwave._colorCache = {};
+    dotwave._paused = true;
+    dotwave.simulation.resize(640, 480);
+    dotwave.simulation.createDots();
+
+    dotwave._createExportCanvas = () => ({});
+    dotwave._drawExportFrame = () => {};
+    dotwave._canvasToBlob = () => Promise.resolve(dotwave.dots.map((dot) => [dot.x, dot.y]));
+    return dotwave;
+}
+
+test('renderFrames() renders the same frames for the same seed', async () => {
+    const dotwave = createDotWave({ numDots: 30, seed: 9, motion: 'flow', fixedTimestep: 10 });
+
+    const first = await dotwave.renderFrames(10, 30);
+
+    // The live animation moves on in between
+    const live = dotwave.simulation;
+    for (let i = 0; i < 50; i++) live.advance(16, { pointers: [{ x: 100, y: 100, speedX: 8, speedY: 2 }] });
+    const state = live.getState();
+
+    const second = await dotwave.renderFrames(10, 30);
+
+    assert.equal(first.length, 10);
+    assert.deepEqual(second, first);
+    assert.notDeepEqual(first[9], first[0]);
+
+    // The live simulation is left as it was
+    assert.equal(dotwave.simulation, live);
+    assert.deepEqual(live.getState(), state);
+});
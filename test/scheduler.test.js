@@ -0,0 +1,36 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DotWave } = require('../src/dotwave.js');
+
+/**
+ * Create a stand-in for a worker that records its messages
+ * @return {Object}
+ */
+function createWorker() {
+    return {
+        messages: [],
+        postMessage(message) {
+            this.messages.push(JSON.parse(JSON.stringify(message)));
+        }
+    };
+}
+
+test('the scheduler settings are passed on to worker renderers', () => {
+    const scheduler = new DotWave.scheduler.constructor();
+    const worker = createWorker();
+
+    scheduler.addWorker(worker);
+    assert.deepEqual(worker.messages, [{ type: 'scheduler', settings: { maxFps: 0, budget: 12, maxSkip: 3 } }]);
+
+    scheduler.maxFps = 30;
+    scheduler.budget = 8;
+    assert.equal(scheduler.maxFps, 30);
+    assert.deepEqual(worker.messages[2], { type: 'scheduler', settings: { maxFps: 30, budget: 8, maxSkip: 3 } });
+
+    scheduler.removeWorker(worker);
+    scheduler.maxSkip = 1;
+    assert.equal(worker.messages.length, 3);
+    assert.equal(scheduler.maxSkip, 1);
+});
@@ -0,0 +1,496 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DotWave } = require('../src/dotwave.js');
+
+const { Simulation } = DotWave;
+
+/**
+ * Create a simulation of a single dot at rest, without random movement
+ * @param {Object} [options] - Extra options
+ * @return {Simulation}
+ */
+function createSimulation(options) {
+    const sim = new Simulation(Object.assign({ numDots: 1, seed: 1, randomFactor: 0 }, options));
+    sim.resize(800, 600);
+    sim.createDots();
+
+    const dot = sim.dots[0];
+    dot.x = 400;
+    dot.y = 300;
+    dot.vx = 0;
+    dot.vy = 0;
+    return sim;
+}
+
+test('friction decays the velocity by friction per 10ms', () => {
+    const sim = createSimulation({ friction: 0.9 });
+    const dot = sim.dots[0];
+    dot.vx = 1;
+
+    for (let i = 0; i < 20; i++) sim.step(10);
+
+    assert.ok(Math.abs(dot.vx - Math.pow(0.9, 20)) < 1e-9);
+    assert.equal(dot.vy, 0);
+});
+
+test('friction does not depend on the step size', () => {
+    const small = createSimulation({ friction: 0.95 });
+    const large = createSimulation({ friction: 0.95 });
+    small.dots[0].vx = large.dots[0].vx = 2;
+
+    for (let i = 0; i < 40; i++) small.step(5);
+    for (let i = 0; i < 10; i++) large.step(20);
+
+    assert.ok(Math.abs(small.dots[0].vx - large.dots[0].vx) < 1e-9);
+});
+
+test('the speed is clamped to maxSpeed', () => {
+    const sim = createSimulation({ friction: 1, maxSpeed: 3 });
+    const dot = sim.dots[0];
+    dot.vx = 30;
+    dot.vy = -40;
+
+    sim.step(10);
+
+    assert.ok(Math.abs(Math.hypot(dot.vx, dot.vy) - 3) < 1e-9);
+    // The direction is kept
+    assert.ok(Math.abs(dot.vx / dot.vy - 30 / -40) < 1e-9);
+});
+
+test('dots wrap around at -edgeBuffer and width/height + edgeBuffer', () => {
+    for (const edgeBuffer of [50, 10]) {
+        const sim = createSimulation({ friction: 1, edgeBuffer: edgeBuffer });
+        const dot = sim.dots[0];
+
+        dot.x = 800 + edgeBuffer - 0.01;
+        dot.vx = 1;
+        sim.step(10);
+        assert.equal(dot.x, -edgeBuffer);
+
+        dot.vx = -1;
+        sim.step(10);
+        assert.equal(dot.x, 800 + edgeBuffer);
+
+        dot.x = 400;
+        dot.vx = 0;
+        dot.y = 600 + edgeBuffer - 0.01;
+        dot.vy = 1;
+        sim.step(10);
+        assert.equal(dot.y, -edgeBuffer);
+
+        dot.vy = -1;
+        sim.step(10);
+        assert.equal(dot.y, 600 + edgeBuffer);
+    }
+});
+
+test('dots inside the buffer are not wrapped', () => {
+    const sim = createSimulation({ friction: 1 });
+    const dot = sim.dots[0];
+    dot.x = 820;
+    dot.vx = 1;
+
+    sim.step(10);
+
+    assert.ok(dot.x > 820 && dot.x < 850);
+});
+
+test('the stream preset accelerates dots in motionAngle', () => {
+    const right = createSimulation({ motion: 'stream', motionAngle: 0, motionStrength: 0.1 });
+    const down = createSimulation({ motion: 'stream', motionAngle: 90, motionStrength: 0.1 });
+
+    right.step(10);
+    down.step(10);
+
+    assert.ok(right.dots[0].vx > 0);
+    assert.ok(Math.abs(right.dots[0].vy) < 1e-9);
+    assert.ok(down.dots[0].vy > 0);
+    assert.ok(Math.abs(down.dots[0].vx) < 1e-9);
+});
+
+test('the vortex preset spins dots around its center', () => {
+    const sim = createSimulation({ motion: 'vortex', motionStrength: 0.1, motionCenterX: 0.5, motionCenterY: 0.5 });
+    const dot = sim.dots[0];
+    dot.x = 600; // Right of the center
+
+    sim.step(10);
+
+    // Tangential (clockwise on screen) with a slight pull towards the center
+    assert.ok(dot.vy > 0);
+    assert.ok(dot.vx < 0);
+    assert.ok(Math.abs(dot.vx) < dot.vy);
+
+    // A negative strength reverses the spin
+    const reversed = createSimulation({ motion: 'vortex', motionStrength: -0.1 });
+    reversed.dots[0].x = 600;
+    reversed.step(10);
+    assert.ok(reversed.dots[0].vy < 0);
+});
+
+test('the flow preset follows the noise field of flowSeed', () => {
+    const a = createSimulation({ motion: 'flow', flowSeed: 7 });
+    const b = createSimulation({ motion: 'flow', flowSeed: 7 });
+    const c = createSimulation({ motion: 'flow', flowSeed: 8 });
+
+    for (let i = 0; i < 10; i++) {
+        a.step(16);
+        b.step(16);
+        c.step(16);
+    }
+
+    assert.ok(Math.hypot(a.dots[0].vx, a.dots[0].vy) > 0);
+    assert.deepEqual(a.getState(), b.getState());
+    assert.notDeepEqual(a.getState().dots[0], c.getState().dots[0]);
+});
+
+test('the same seed produces the same scene', () => {
+    const run = (seed) => {
+        const sim = new Simulation({ numDots: 50, seed: seed, motion: 'flow', dotColors: ['red', 'lime', 'blue'] });
+        sim.resize(640, 480);
+        sim.createDots();
+        const pointer = { x: 320, y: 240, speedX: 5, speedY: -3 };
+        for (let i = 0; i < 100; i++) sim.step(16, { pointers: [pointer] });
+        return sim.getState();
+    };
+
+    assert.deepEqual(run(42), run(42));
+    assert.deepEqual(run('landing-page'), run('landing-page'));
+    assert.notDeepEqual(run(42).dots, run(43).dots);
+});
+
+test('getState() returns copies of the dots', () => {
+    const sim = createSimulation();
+    const state = sim.getState();
+    state.dots[0].x = -1000;
+
+    assert.equal(sim.dots[0].x, 400);
+    assert.equal(state.width, 800);
+    assert.equal(state.height, 600);
+});
+
+test('dotDensity sets the dot count from the area', () => {
+    const sim = new Simulation({ dotDensity: 2, maxDots: null, seed: 1 });
+    sim.resize(800, 600);
+    sim.createDots();
+
+    // 2 dots per 10,000 px²
+    assert.equal(sim.dots.length, 96);
+
+    sim.resize(400, 300);
+    assert.equal(sim.dots.length, 24);
+
+    sim.resize(1000, 1000);
+    assert.equal(sim.dots.length, 200);
+});
+
+test('the dot count from dotDensity is kept within minDots and maxDots', () => {
+    const sim = new Simulation({ dotDensity: 2, minDots: 50, maxDots: 150, seed: 1 });
+    sim.resize(800, 600);
+    sim.createDots();
+    assert.equal(sim.dots.length, 96);
+
+    sim.resize(2000, 2000);
+    assert.equal(sim.dots.length, 150);
+
+    sim.resize(200, 200);
+    assert.equal(sim.dots.length, 50);
+});
+
+test('changing dotDensity keeps the existing dots', () => {
+    const sim = new Simulation({ dotDensity: 2, maxDots: null, seed: 1 });
+    sim.resize(800, 600);
+    sim.createDots();
+    const dots = sim.dots.slice();
+
+    sim.setOptions({ dotDensity: 4 });
+    assert.equal(sim.dots.length, 192);
+    dots.forEach((dot, i) => assert.equal(sim.dots[i], dot));
+
+    const denser = sim.dots.slice();
+    sim.setOptions({ maxDots: 100 });
+    assert.equal(sim.dots.length, 100);
+    assert.ok(sim.dots.every((dot) => denser.includes(dot)));
+});
+
+test('with fixedTimestep the frame rate does not change the scene', () => {
+    const run = (frameMs) => {
+        const sim = new Simulation({ numDots: 40, seed: 5, motion: 'flow', fixedTimestep: 10, maxSubSteps: 100 });
+        sim.resize(640, 480);
+        sim.createDots();
+        // 1200ms of frames at the given rate
+        for (let t = 0; t < 1200; t += frameMs) sim.advance(frameMs);
+        return sim.getState().dots;
+    };
+
+    const reference = run(10);
+    assert.deepEqual(run(5), reference);
+    assert.deepEqual(run(20), reference);
+    assert.deepEqual(run(40), reference);
+});
+
+test('advance() returns how far the time is into the next fixed step', () => {
+    const sim = createSimulation({ fixedTimestep: 10 });
+
+    assert.equal(sim.advance(4), 0.4);
+    assert.equal(sim.time, 0);
+    assert.ok(Math.abs(sim.advance(12) - 0.6) < 1e-9);
+    assert.equal(sim.time, 10);
+});
+
+test('advance() drops the time beyond maxSubSteps', () => {
+    const sim = createSimulation({ fixedTimestep: 10, maxSubSteps: 3 });
+
+    sim.advance(1000);
+
+    assert.equal(sim.time, 30);
+    assert.ok(sim.accumulator < 10);
+});
+
+test('interpolate() and restorePositions() round-trip', () => {
+    const sim = createSimulation({ fixedTimestep: 10, friction: 1 });
+    const dot = sim.dots[0];
+    dot.vx = 2;
+    dot.vy = -1;
+
+    const alpha = sim.advance(15);
+    const x = dot.x;
+    const y = dot.y;
+
+    sim.interpolate(alpha);
+    assert.ok(Math.abs(dot.x - (dot.prevX + (x - dot.prevX) * 0.5)) < 1e-9);
+    assert.ok(Math.abs(dot.y - (dot.prevY + (y - dot.prevY) * 0.5)) < 1e-9);
+
+    sim.restorePositions();
+    assert.equal(dot.x, x);
+    assert.equal(dot.y, y);
+});
+
+test('interpolate() leaves dots that wrapped around at their position', () => {
+    const sim = createSimulation({ fixedTimestep: 10, friction: 1 });
+    const dot = sim.dots[0];
+    dot.x = 850 - 0.01;
+    dot.vx = 1;
+
+    sim.advance(10);
+    assert.equal(dot.x, -50);
+
+    sim.interpolate(0.5);
+    assert.equal(dot.x, -50);
+    sim.restorePositions();
+});
+
+/**
+ * Create a simulation of two dots at rest on a horizontal line
+ * @param {Number} distance - Distance between the dots
+ * @param {Object} [options] - Extra options
+ * @return {Simulation}
+ */
+function createPair(distance, options) {
+    const sim = new Simulation(Object.assign({ numDots: 2, seed: 1, randomFactor: 0, friction: 1 }, options));
+    sim.resize(800, 600);
+    sim.createDots();
+
+    sim.dots.forEach((dot, i) => {
+        dot.x = 400 + i * distance;
+        dot.y = 300;
+        dot.vx = 0;
+        dot.vy = 0;
+        dot.radius = 3;
+    });
+    return sim;
+}
+
+test('the repel behavior pushes overlapping dots apart', () => {
+    const sim = createPair(4, { behavior: 'repel' });
+    const [left, right] = sim.dots;
+
+    sim.step(10);
+
+    assert.ok(left.vx < 0);
+    assert.ok(right.vx > 0);
+    assert.ok(Math.abs(left.vx + right.vx) < 1e-9);
+    assert.equal(left.vy, 0);
+
+    // Dots that don't touch are left alone
+    const apart = createPair(10, { behavior: 'repel' });
+    apart.step(10);
+    assert.equal(apart.dots[0].vx, 0);
+    assert.equal(apart.dots[1].vx, 0);
+});
+
+test('the flock behavior aligns the directions of neighbours', () => {
+    const sim = createPair(30, { behavior: 'flock', flockSeparation: 0, flockCohesion: 0 });
+    const [a, b] = sim.dots;
+    a.vx = 1;
+    b.vy = 1;
+
+    const angle = () => Math.abs(Math.atan2(a.vy, a.vx) - Math.atan2(b.vy, b.vx));
+    const before = angle();
+    for (let i = 0; i < 20; i++) sim.step(10);
+
+    assert.ok(angle() < before / 2);
+});
+
+test('the flock behavior separates close dots and keeps them moving', () => {
+    const sim = createPair(5, { behavior: 'flock', flockAlignment: 0, flockCohesion: 0, maxSpeed: 4 });
+    const [left, right] = sim.dots;
+
+    sim.step(10);
+    assert.ok(left.vx < 0);
+    assert.ok(right.vx > 0);
+
+    // A lone boid speeds up towards half of maxSpeed, also against friction
+    const lone = createSimulation({ behavior: 'flock', friction: 0.99, maxSpeed: 4 });
+    lone.dots[0].vx = 0.5;
+    for (let i = 0; i < 500; i++) lone.step(10);
+    assert.ok(lone.dots[0].vx > 1);
+    assert.ok(lone.dots[0].vx < 2);
+});
+
+test('the gravity behavior pulls dots together by their size', () => {
+    const sim = createPair(40, { behavior: 'gravity', behaviorRadius: 50 });
+    const [light, heavy] = sim.dots;
+    heavy.radius = 6;
+
+    sim.step(10);
+
+    assert.ok(light.vx > 0);
+    assert.ok(heavy.vx < 0);
+    // The light dot is pulled four times as hard
+    assert.ok(Math.abs(light.vx / heavy.vx + 4) < 1e-9);
+
+    // Dots beyond behaviorRadius don't attract each other
+    const apart = createPair(60, { behavior: 'gravity', behaviorRadius: 50 });
+    apart.step(10);
+    assert.equal(apart.dots[0].vx, 0);
+});
+
+test('the bounce edge mode reflects dots with edgeRestitution', () => {
+    const sim = createSimulation({ edgeMode: 'bounce', edgeRestitution: 0.5, friction: 1, maxSpeed: 10 });
+    const dot = sim.dots[0];
+    dot.radius = 3;
+    dot.speedMultiplier = 1;
+    dot.x = 796;
+    dot.vx = 2;
+
+    sim.step(10);
+    assert.equal(dot.x, 797);
+    assert.equal(dot.vx, -1);
+
+    dot.y = 2;
+    dot.vy = -4;
+    sim.step(10);
+    assert.equal(dot.y, 3);
+    assert.equal(dot.vy, 2);
+});
+
+test('the respawn edge mode brings dots back in at an edge', () => {
+    const sim = createSimulation({ edgeMode: 'respawn', edgeBuffer: 20, friction: 1 });
+    const dot = sim.dots[0];
+
+    for (let i = 0; i < 50; i++) {
+        dot.x = 820 - 0.01;
+        dot.y = 300;
+        dot.vx = 1;
+        dot.vy = 0;
+        sim.step(10);
+
+        // Halfway into the buffer of one of the edges, heading inwards
+        if (dot.x === -10) assert.ok(dot.vx >= 0);
+        else if (dot.x === 810) assert.ok(dot.vx <= 0);
+        else if (dot.y === -10) assert.ok(dot.vy >= 0);
+        else if (dot.y === 610) assert.ok(dot.vy <= 0);
+        else assert.fail('respawned at ' + dot.x + ', ' + dot.y);
+    }
+
+    // Dots within the buffer are not respawned
+    dot.x = 810;
+    dot.y = 300;
+    dot.vx = 0;
+    dot.vy = 0;
+    sim.step(10);
+    assert.equal(dot.x, 810);
+});
+
+test('the respawn edge mode can respawn dots at the emitter', () => {
+    const sim = createSimulation({ edgeMode: 'respawn', respawnAt: 'emitter', emitterX: 0.25, emitterY: 0.75, friction: 1 });
+    const dot = sim.dots[0];
+    dot.y = -50 + 0.01;
+    dot.vy = -1;
+
+    sim.step(10);
+
+    assert.equal(dot.x, 200);
+    assert.equal(dot.y, 450);
+});
+
+test('the fade edge mode fades dots out near the edges and in after they left', () => {
+    const sim = createSimulation({ edgeMode: 'fade', edgeFade: 100, friction: 1 });
+    const dot = sim.dots[0];
+    const baseAlpha = dot.baseAlpha;
+
+    dot.x = 50;
+    sim.step(10);
+    assert.ok(Math.abs(dot.alpha - baseAlpha * 0.5) < 1e-9);
+
+    dot.x = 800 - 0.01;
+    dot.vx = 1;
+    sim.step(10);
+    assert.ok(dot.x >= 0 && dot.x <= 800 && dot.y >= 0 && dot.y <= 600);
+    assert.ok(dot.alpha <= baseAlpha * 0.01 + 1e-9);
+
+    // Faded in again after a second
+    dot.vx = 0;
+    dot.x = dot.y = 300;
+    for (let i = 0; i < 100; i++) sim.step(10);
+    assert.ok(Math.abs(dot.alpha - baseAlpha) < 1e-9);
+});
+
+test('switching away from the fade edge mode restores the alpha', () => {
+    const sim = createSimulation({ edgeMode: 'fade', friction: 1 });
+    const dot = sim.dots[0];
+    dot.x = 10;
+    sim.step(10);
+    assert.ok(dot.alpha < dot.baseAlpha);
+
+    sim.setOptions({ edgeMode: 'wrap' });
+    assert.equal(dot.alpha, dot.baseAlpha);
+});
+
+test('the simulation state of a DotWave instance reads and writes through', () => {
+    const dotwave = Object.create(DotWave.prototype);
+    dotwave.simulation = createSimulation();
+
+    assert.equal(dotwave.dots, dotwave.simulation.dots);
+    assert.equal(dotwave.width, 800);
+
+    const dots = [];
+    dotwave.dots = dots;
+    dotwave.width = 1024;
+    assert.equal(dotwave.simulation.dots, dots);
+    assert.equal(dotwave.simulation.width, 1024);
+});
+
+test('setDotScale() hides dots and brings the same dots back', () => {
+    const sim = new Simulation({ numDots: 100, seed: 4 });
+    sim.resize(800, 600);
+    sim.createDots();
+    const dots = sim.dots.slice();
+    const positions = dots.map((dot) => [dot.x, dot.y]);
+
+    sim.setDotScale(0.5);
+    assert.equal(sim.dots.length, 50);
+    sim.dots.forEach((dot, i) => assert.equal(dot, dots[i]));
+
+    sim.setDotScale(0.25);
+    assert.equal(sim.dots.length, 25);
+
+    sim.setDotScale(1);
+    assert.equal(sim.dots.length, 100);
+    sim.dots.forEach((dot, i) => {
+        assert.equal(dot, dots[i]);
+        assert.deepEqual([dot.x, dot.y], positions[i]);
+    });
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DotWave } = require('../src/dotwave.js');
+
+// Floats per dot: x, y, radius, stretch scale, angle, r, g, b, a
+const INSTANCE_FLOATS = 9;
+
+/**
+ * Compare two float arrays with float32 precision
+ * @param {Float32Array} actual - Actual values
+ * @param {Array} expected - Expected values
+ */
+function assertFloats(actual, expected) {
+    assert.equal(actual.length, expected.length);
+    for (let i = 0; i < expected.length; i++) {
+        assert.ok(Math.abs(actual[i] - Math.fround(expected[i])) < 1e-6, 'index ' + i + ': ' + actual[i] + ' != ' + expected[i]);
+    }
+}
+
+test('buildInstanceData() writes one record per dot', () => {
+    const renderer = new DotWave.WebGLRenderer(null);
+    const dots = [
+        { x: 10, y: 20, radius: 2, color: 'red', alpha: 0.5, currentAngle: 1 },
+        { x: 30, y: 40, radius: 4, color: '#00ff0080', alpha: 1, currentAngle: 0.5 }
+    ];
+
+    const data = renderer.buildInstanceData(dots, () => 0);
+
+    assert.ok(data instanceof Float32Array);
+    assertFloats(data, [
+        10, 20, 2, 1, 0, 1, 0, 0, 0.5,
+        30, 40, 4, 1, 0, 0, 1, 0, 128 / 255
+    ]);
+});
+
+test('buildInstanceData() stores the stretch as a scale and the rotation', () => {
+    const renderer = new DotWave.WebGLRenderer(null);
+    const dots = [{ x: 0, y: 0, radius: 2, color: 'white', alpha: 1, currentAngle: 0.75 }];
+
+    const data = renderer.buildInstanceData(dots, () => 3);
+
+    // Stretched along the movement axis: (radius + stretch) / radius
+    assertFloats(data.subarray(3, 5), [2.5, 0.75]);
+});
+
+test('buildInstanceData() reuses its buffer and returns only the used part', () => {
+    const renderer = new DotWave.WebGLRenderer(null);
+    const dot = { x: 1, y: 2, radius: 1, color: 'blue', alpha: 1, currentAngle: 0 };
+
+    const large = renderer.buildInstanceData([dot, dot, dot], () => 0);
+    const small = renderer.buildInstanceData([dot], () => 0);
+
+    assert.equal(large.length, 3 * INSTANCE_FLOATS);
+    assert.equal(small.length, INSTANCE_FLOATS);
+    assert.equal(small.buffer, large.buffer);
+});
+
+test('buildInstanceData() matches the dots of a simulation', () => {
+    const sim = new DotWave.Simulation({ numDots: 25, seed: 3, dotColors: ['#ff0000', '#0000ff'] });
+    sim.resize(300, 200);
+    sim.createDots();
+    const renderer = new DotWave.WebGLRenderer(null);
+
+    const data = renderer.buildInstanceData(sim.dots, () => 0);
+
+    assert.equal(data.length, 25 * INSTANCE_FLOATS);
+    sim.dots.forEach((dot, i) => {
+        const o = i * INSTANCE_FLOATS;
+        assertFloats(data.subarray(o, o + 3), [dot.x, dot.y, dot.radius]);
+        assertFloats(data.subarray(o + 8, o + 9), [dot.alpha]);
+    });
+});
+
+test('buildLineData() writes x, y, r, g, b, a per vertex', () => {
+    const renderer = new DotWave.WebGLRenderer(null);
+    const batches = [
+        { color: 'white', alpha: 0.5, coords: [0, 0, 10, 10] },
+        { color: 'rgba(255, 0, 0, 0.5)', alpha: 1, coords: [1, 2, 3, 4, 5, 6, 7, 8] }
+    ];
+
+    const data = renderer.buildLineData(batches);
+
+    assertFloats(data, [
+        0, 0, 1, 1, 1, 0.5,
+        10, 10, 1, 1, 1, 0.5,
+        1, 2, 1, 0, 0, 0.5,
+        3, 4, 1, 0, 0, 0.5,
+        5, 6, 1, 0, 0, 0.5,
+        7, 8, 1, 0, 0, 0.5
+    ]);
+});